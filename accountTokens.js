@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+// Lifetimes for the single-use links we email out
+const TOKEN_TTL_MINUTES = {
+  verify_email: 24 * 60,
+  reset_password: 60
+};
+
+// Ensure account_tokens table exists (and the users column it feeds)
+const ensureAccountTokensTable = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS account_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(30) NOT NULL,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_account_tokens_user_purpose ON account_tokens(user_id, purpose)
+    `);
+
+    await pool.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP
+    `);
+
+    console.log('✅ Account tokens table ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Account tokens table exists but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with account tokens table:', error.message);
+    }
+  }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token for the purpose, invalidating any earlier unused one. Returns the raw token.
+const createAccountToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await pool.query(
+    'UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+
+  await pool.query(`
+    INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))
+  `, [userId, purpose, hashToken(token), TOKEN_TTL_MINUTES[purpose]]);
+
+  return token;
+};
+
+// Burn a token. Returns the user id, or null when the token is unknown, used or expired.
+const consumeAccountToken = async (token, purpose) => {
+  const result = await pool.query(`
+    UPDATE account_tokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    RETURNING user_id
+  `, [hashToken(String(token || '')), purpose]);
+
+  return result.rows[0]?.user_id || null;
+};
+
+module.exports = {
+  ensureAccountTokensTable,
+  createAccountToken,
+  consumeAccountToken
+};
\ No newline at end of file
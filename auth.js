@@ -1,10 +1,84 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  RefreshTokenError,
+  ensureRefreshTokensTable,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+} = require('./authTokens');
+const {
+  ensureTwoFactorTables,
+  getTwoFactor,
+  isTwoFactorEnabled,
+  beginEnrolment,
+  verifyTotp,
+  useRecoveryCode,
+  generateRecoveryCodes,
+  enableTwoFactor,
+  disableTwoFactor,
+  setRequireForBanks,
+  createChallengeToken,
+  readChallengeToken
+} = require('./twoFactor');
+const {
+  ensureLoginAttemptsTable,
+  checkLoginThrottle,
+  checkIpThrottle,
+  recordLoginAttempt,
+  sendTooManyAttempts,
+  loadRecentSignIns
+} = require('./loginThrottle');
+const { ensureAccountTokensTable, createAccountToken, consumeAccountToken } = require('./accountTokens');
+const { sendMail } = require('./mailer');
 
 const router = express.Router();
 
+// Initialize tables on startup
+ensureRefreshTokensTable();
+ensureTwoFactorTables();
+ensureLoginAttemptsTable();
+ensureAccountTokensTable();
+
+// Links in emails point at the frontend, which posts the token back to us
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const sendVerificationEmail = async (user) => {
+  const token = await createAccountToken(user.id, 'verify_email');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link within 24 hours:\n` +
+      `${APP_URL}/verify-email?token=${token}\n\nIf you did not create an account, ignore this email.`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createAccountToken(user.id, 'reset_password');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nReset your password by opening this link within 1 hour:\n` +
+      `${APP_URL}/reset-password?token=${token}\n\nIf you did not ask for this, ignore this email - your password is unchanged.`
+  });
+};
+
+// Accepts either a TOTP code or a recovery code from the request body
+const verifySecondFactor = async (userId, { code, recovery_code }) => {
+  if (code) {
+    return verifyTotp(userId, code);
+  }
+  if (recovery_code) {
+    return useRecoveryCode(userId, recovery_code);
+  }
+  return false;
+};
+
 // POST /api/auth/register
 router.post('/register', async (req, res) => {
   try {
@@ -16,6 +90,11 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'Username, email, and password are required' });
     }
 
+    const throttle = await checkIpThrottle({ ip: req.ip, attemptType: 'register' });
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle.retryAfter, 'Too many registrations, please try again later');
+    }
+
     // Check if user already exists
     const existingUser = await pool.query(
       'SELECT * FROM users WHERE username = $1 OR email = $2',
@@ -23,6 +102,7 @@ router.post('/register', async (req, res) => {
     );
 
     if (existingUser.rows.length > 0) {
+      await recordLoginAttempt({ req, username, attemptType: 'register', outcome: 'failure', reason: 'already_exists' });
       return res.status(400).json({ error: 'Username or email already exists' });
     }
 
@@ -36,16 +116,21 @@ router.post('/register', async (req, res) => {
       [username, email, password_hash]
     );
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: newUser.rows[0].id, username: newUser.rows[0].username },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '24h' }
-    );
+    await recordLoginAttempt({ req, username, userId: newUser.rows[0].id, attemptType: 'register', outcome: 'success' });
+
+    // A mail outage should not block sign-up, the user can ask for another link
+    try {
+      await sendVerificationEmail(newUser.rows[0]);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Generate access and refresh tokens
+    const tokens = await issueTokens(newUser.rows[0]);
 
     res.status(201).json({
       message: 'User created successfully',
-      token,
+      ...tokens,
       user: newUser.rows[0]
     });
   } catch (error) {
@@ -65,6 +150,14 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Username and password are required' });
     }
 
+    // Backoff/lockout is checked before the password so guesses during a lockout teach nothing
+    const throttle = await checkLoginThrottle({ username, ip: req.ip });
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle.retryAfter, throttle.locked
+        ? 'Account temporarily locked after too many failed logins'
+        : 'Too many failed logins, please wait before trying again');
+    }
+
     // Find user
     const user = await pool.query(
       'SELECT * FROM users WHERE username = $1',
@@ -72,25 +165,35 @@ router.post('/login', async (req, res) => {
     );
 
     if (user.rows.length === 0) {
+      await recordLoginAttempt({ req, username, outcome: 'failure', reason: 'unknown_user' });
       return res.status(400).json({ error: 'Invalid username or password' });
     }
 
     // Check password
     const validPassword = await bcrypt.compare(password, user.rows[0].password_hash);
     if (!validPassword) {
+      await recordLoginAttempt({ req, username, userId: user.rows[0].id, outcome: 'failure', reason: 'bad_password' });
       return res.status(400).json({ error: 'Invalid username or password' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.rows[0].id, username: user.rows[0].username },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '24h' }
-    );
+    // Password was right but a second factor is still needed - hand out a short-lived challenge
+    if (await isTwoFactorEnabled(user.rows[0].id)) {
+      await recordLoginAttempt({ req, username, userId: user.rows[0].id, outcome: 'challenge' });
+      return res.json({
+        message: 'Two-factor code required',
+        two_factor_required: true,
+        challenge_token: createChallengeToken(user.rows[0])
+      });
+    }
+
+    await recordLoginAttempt({ req, username, userId: user.rows[0].id, outcome: 'success' });
+
+    // Generate access and refresh tokens
+    const tokens = await issueTokens(user.rows[0]);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user.rows[0].id,
         username: user.rows[0].username,
@@ -103,4 +206,418 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// POST /api/auth/2fa/verify - Second login step: challenge token + TOTP or recovery code
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const { challenge_token } = req.body;
+
+    if (!challenge_token || (!req.body.code && !req.body.recovery_code)) {
+      return res.status(400).json({ error: 'Challenge token and code or recovery code are required' });
+    }
+
+    let userId;
+    try {
+      userId = readChallengeToken(challenge_token);
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid or expired challenge, please log in again' });
+    }
+
+    const user = await pool.query('SELECT id, username, email FROM users WHERE id = $1', [userId]);
+    if (user.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid or expired challenge, please log in again' });
+    }
+
+    // Code guesses count toward the same backoff as password guesses
+    const { username } = user.rows[0];
+    const throttle = await checkLoginThrottle({ username, ip: req.ip });
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle.retryAfter);
+    }
+
+    if (!(await verifySecondFactor(userId, req.body))) {
+      await recordLoginAttempt({ req, username, userId, attemptType: '2fa', outcome: 'failure', reason: 'bad_code' });
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    await recordLoginAttempt({ req, username, userId, attemptType: '2fa', outcome: 'success' });
+
+    const tokens = await issueTokens(user.rows[0]);
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: user.rows[0]
+    });
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ error: 'Failed to verify two-factor code: ' + error.message });
+  }
+});
+
+// GET /api/auth/2fa - Two-factor status for the current user
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const twoFactor = await getTwoFactor(req.user_id);
+    const remaining = await pool.query(
+      'SELECT COUNT(*) FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [req.user_id]
+    );
+
+    res.json({
+      enabled: Boolean(twoFactor?.enabled_at),
+      pending_confirmation: Boolean(twoFactor && !twoFactor.enabled_at),
+      require_for_banks: Boolean(twoFactor?.require_for_banks),
+      recovery_codes_remaining: parseInt(remaining.rows[0].count, 10)
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status: ' + error.message });
+  }
+});
+
+// POST /api/auth/2fa/setup - Generate a secret and otpauth URI (render otpauth_uri as the QR code)
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    if (await isTwoFactorEnabled(req.user_id)) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const user = await pool.query('SELECT id, username FROM users WHERE id = $1', [req.user_id]);
+    const { secret, otpauth_uri } = await beginEnrolment(user.rows[0]);
+
+    res.json({
+      message: 'Scan the QR code, then confirm with a code from your authenticator app',
+      secret,
+      otpauth_uri,
+      qr_payload: otpauth_uri
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup: ' + error.message });
+  }
+});
+
+// POST /api/auth/2fa/confirm - Prove the authenticator works, enable 2FA and get recovery codes
+router.post('/2fa/confirm', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    const twoFactor = await getTwoFactor(req.user_id);
+    if (!twoFactor) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+    if (twoFactor.enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!(await verifyTotp(req.user_id, code))) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+
+    await enableTwoFactor(req.user_id);
+    const recoveryCodes = await generateRecoveryCodes(req.user_id);
+
+    console.log(`🔐 Two-factor enabled for user ${req.user_id}`);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe, they are shown only once',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({ error: 'Failed to confirm two-factor setup: ' + error.message });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace recovery codes (needs a current code)
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    if (!(await isTwoFactorEnabled(req.user_id))) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    // Code guesses count toward the same backoff as at login
+    const { username } = (await pool.query('SELECT username FROM users WHERE id = $1', [req.user_id])).rows[0];
+    const throttle = await checkLoginThrottle({ username, ip: req.ip });
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle.retryAfter);
+    }
+
+    if (!(await verifyTotp(req.user_id, req.body.code))) {
+      await recordLoginAttempt({ req, username, userId: req.user_id, attemptType: '2fa', outcome: 'failure', reason: 'bad_code' });
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(req.user_id);
+
+    res.json({ message: 'Recovery codes regenerated', recovery_codes: recoveryCodes });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes: ' + error.message });
+  }
+});
+
+// PUT /api/auth/2fa/settings - Require a code before linking or removing banks
+router.put('/2fa/settings', authenticateToken, async (req, res) => {
+  try {
+    const { require_for_banks } = req.body;
+
+    if (typeof require_for_banks !== 'boolean') {
+      return res.status(400).json({ error: 'require_for_banks must be true or false' });
+    }
+
+    if (!(await isTwoFactorEnabled(req.user_id))) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    await setRequireForBanks(req.user_id, require_for_banks);
+
+    res.json({ message: 'Two-factor settings saved', require_for_banks });
+  } catch (error) {
+    console.error('Two-factor settings error:', error);
+    res.status(500).json({ error: 'Failed to save two-factor settings: ' + error.message });
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn 2FA off (needs a code or recovery code)
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    if (!(await isTwoFactorEnabled(req.user_id))) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    // Code guesses count toward the same backoff as at login
+    const { username } = (await pool.query('SELECT username FROM users WHERE id = $1', [req.user_id])).rows[0];
+    const throttle = await checkLoginThrottle({ username, ip: req.ip });
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle.retryAfter);
+    }
+
+    if (!(await verifySecondFactor(req.user_id, req.body))) {
+      await recordLoginAttempt({ req, username, userId: req.user_id, attemptType: '2fa', outcome: 'failure', reason: 'bad_code' });
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    await disableTwoFactor(req.user_id);
+
+    console.log(`🔓 Two-factor disabled for user ${req.user_id}`);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication: ' + error.message });
+  }
+});
+
+// GET /api/auth/sign-ins - Recent sign-in activity for the current user
+router.get('/sign-ins', authenticateToken, async (req, res) => {
+  try {
+    const signIns = await loadRecentSignIns(req.user_id);
+    res.json({ sign_ins: signIns });
+  } catch (error) {
+    console.error('Sign-ins error:', error);
+    res.status(500).json({ error: 'Failed to fetch sign-ins: ' + error.message });
+  }
+});
+
+// POST /api/auth/verify-email - Confirm the email address with the emailed token
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const userId = await consumeAccountToken(token, 'verify_email');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    await pool.query(
+      'UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = $1 AND email_verified_at IS NULL',
+      [userId]
+    );
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email: ' + error.message });
+  }
+});
+
+// POST /api/auth/verify-email/resend - Send a new verification link to the current user
+router.post('/verify-email/resend', authenticateToken, async (req, res) => {
+  try {
+    const throttle = await checkIpThrottle({ ip: req.ip, attemptType: 'verify' });
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle.retryAfter);
+    }
+
+    const user = await pool.query(
+      'SELECT id, username, email, email_verified_at FROM users WHERE id = $1',
+      [req.user_id]
+    );
+
+    if (user.rows[0].email_verified_at) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await recordLoginAttempt({
+      req,
+      username: user.rows[0].username,
+      userId: user.rows[0].id,
+      attemptType: 'verify',
+      outcome: 'challenge'
+    });
+
+    await sendVerificationEmail(user.rows[0]);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email: ' + error.message });
+  }
+});
+
+// POST /api/auth/forgot-password - Email a reset link (same answer whether or not the email exists)
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const throttle = await checkIpThrottle({ ip: req.ip, attemptType: 'reset' });
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle.retryAfter);
+    }
+
+    const user = await pool.query('SELECT id, username, email FROM users WHERE email = $1', [email]);
+
+    await recordLoginAttempt({
+      req,
+      username: user.rows[0]?.username || email,
+      userId: user.rows[0]?.id || null,
+      attemptType: 'reset',
+      outcome: user.rows.length > 0 ? 'challenge' : 'failure',
+      reason: user.rows.length > 0 ? null : 'unknown_email'
+    });
+
+    if (user.rows.length > 0) {
+      await sendPasswordResetEmail(user.rows[0]);
+    }
+
+    res.json({ message: 'If that email is registered, a reset link is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to start password reset: ' + error.message });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password with the emailed token and end every session
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    const userId = await consumeAccountToken(token, 'reset_password');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    const saltRounds = 10;
+    const password_hash = await bcrypt.hash(password, saltRounds);
+
+    // Following the emailed link also proves the address works
+    const user = await pool.query(`
+      UPDATE users
+      SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+      WHERE id = $2
+      RETURNING id, username
+    `, [password_hash, userId]);
+
+    const revoked = await revokeAllRefreshTokens(userId);
+
+    await recordLoginAttempt({
+      req,
+      username: user.rows[0].username,
+      userId,
+      attemptType: 'reset',
+      outcome: 'success'
+    });
+
+    console.log(`🔑 Password reset for user ${userId}, ${revoked} sessions revoked`);
+
+    res.json({ message: 'Password reset successfully, please log in again' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password: ' + error.message });
+  }
+});
+
+// POST /api/auth/refresh - Swap a refresh token for a new access/refresh pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const tokens = await rotateRefreshToken(refresh_token);
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    if (error instanceof RefreshTokenError) {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh token: ' + error.message });
+  }
+});
+
+// POST /api/auth/logout - Revoke the session the refresh token belongs to
+router.post('/logout', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    await revokeRefreshToken(refresh_token);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to logout: ' + error.message });
+  }
+});
+
+// POST /api/auth/logout-all - Revoke every session of the current user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllRefreshTokens(req.user_id);
+
+    console.log(`🔒 Revoked ${revoked} refresh tokens for user ${req.user_id}`);
+
+    res.json({ message: 'Logged out of all sessions', revoked_sessions: revoked });
+  } catch (error) {
+    console.error('Logout-all error:', error);
+    res.status(500).json({ error: 'Failed to logout: ' + error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+
+// Short-lived access tokens, long-lived rotating refresh tokens
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_TTL_DAYS, 10) || 30;
+
+// Refuse to start with a missing or placeholder secret - anyone could mint tokens otherwise
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET || JWT_SECRET === 'fallback-secret' || JWT_SECRET.length < 32) {
+  throw new Error('JWT_SECRET must be set to a random value of at least 32 characters');
+}
+
+// Custom error so routes can answer 401 instead of 500
+class RefreshTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefreshTokenError';
+  }
+}
+
+// Ensure refresh_tokens table exists
+const ensureRefreshTokensTable = async () => {
+  try {
+    // Every login starts a family; each refresh replaces the token within it
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        family_id VARCHAR(64) NOT NULL,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        rotated_at TIMESTAMP,
+        revoked_at TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id)
+    `);
+
+    console.log('✅ Refresh tokens table ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Refresh tokens table exists but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with refresh tokens table:', error.message);
+    }
+  }
+};
+
+// Refresh tokens are random, so a plain SHA-256 is enough to keep them useless in a dump
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user) => jwt.sign(
+  { id: user.id, username: user.username },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Store a new refresh token in the given family and return the raw value
+const createRefreshToken = async (db, userId, familyId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await db.query(`
+    INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(days => $4))
+  `, [userId, familyId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]);
+
+  return refreshToken;
+};
+
+// Issue an access/refresh pair for a fresh login
+const issueTokens = async (user) => {
+  const refreshToken = await createRefreshToken(pool, user.id, crypto.randomUUID());
+
+  return {
+    token: signAccessToken(user),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_TTL
+  };
+};
+
+// Revoke every live token of a family
+const revokeFamily = async (db, familyId) => {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL',
+    [familyId]
+  );
+};
+
+// Swap a refresh token for a new pair. Presenting a token that was already rotated
+// means it was copied, so the whole family is revoked.
+const rotateRefreshToken = async (refreshToken) => {
+  const db = await pool.connect();
+  let reusedBy = null;
+
+  try {
+    await db.query('BEGIN');
+
+    const result = await db.query(`
+      SELECT rt.*, u.username
+      FROM refresh_tokens rt
+      JOIN users u ON u.id = rt.user_id
+      WHERE rt.token_hash = $1
+      FOR UPDATE OF rt
+    `, [hashToken(refreshToken)]);
+
+    if (result.rows.length === 0) {
+      throw new RefreshTokenError('Invalid refresh token');
+    }
+
+    const stored = result.rows[0];
+
+    if (stored.rotated_at || stored.revoked_at) {
+      await revokeFamily(db, stored.family_id);
+      await db.query('COMMIT');
+      reusedBy = stored.user_id;
+    } else {
+      if (new Date(stored.expires_at) <= new Date()) {
+        throw new RefreshTokenError('Refresh token expired');
+      }
+
+      await db.query(
+        'UPDATE refresh_tokens SET rotated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [stored.id]
+      );
+      const newRefreshToken = await createRefreshToken(db, stored.user_id, stored.family_id);
+
+      await db.query('COMMIT');
+
+      return {
+        token: signAccessToken({ id: stored.user_id, username: stored.username }),
+        refresh_token: newRefreshToken,
+        expires_in: ACCESS_TOKEN_TTL
+      };
+    }
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+
+  console.log(`🚨 Refresh token reuse detected for user ${reusedBy}, family revoked`);
+  throw new RefreshTokenError('Refresh token reuse detected, please log in again');
+};
+
+// Log out one session: revoke the family the presented token belongs to
+const revokeRefreshToken = async (refreshToken) => {
+  const result = await pool.query(
+    'SELECT family_id FROM refresh_tokens WHERE token_hash = $1',
+    [hashToken(refreshToken)]
+  );
+
+  if (result.rows.length > 0) {
+    await revokeFamily(pool, result.rows[0].family_id);
+  }
+};
+
+// Log out everywhere
+const revokeAllRefreshTokens = async (userId) => {
+  const result = await pool.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+
+  return result.rowCount;
+};
+
+module.exports = {
+  JWT_SECRET,
+  RefreshTokenError,
+  ensureRefreshTokensTable,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+};
\ No newline at end of file
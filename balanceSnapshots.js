@@ -0,0 +1,276 @@
+const pool = require('../config/database');
+const client = require('./plaidClient');
+const { getAccessToken } = require('./tokenVault');
+const { saveAccounts } = require('./transactionSync');
+const { recordBankError, clearBankError } = require('./bankStatus');
+const { roundMoney } = require('./budgetActuals');
+const { saveHoldingsSnapshot } = require('./investments');
+
+// Plaid account types that are owed rather than owned
+const LIABILITY_TYPES = ['credit', 'loan'];
+
+// Banks in these states can't be asked for balances
+const SKIPPED_BANK_STATUSES = ['duplicate_pending', 'login_required', 'revoked', 'error'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ensure the daily balance snapshots table exists
+const ensureSnapshotTable = async () => {
+  try {
+    // balance is the account balance as Plaid reports it (owed amounts positive for credit and
+    // loans); signed_balance is what it adds to net worth, so an overdraft or an amount owed is
+    // negative and a credit balance on a card is positive
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS balance_snapshots (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        bank_id INTEGER REFERENCES user_banks(id) ON DELETE CASCADE,
+        account_id VARCHAR(255) NOT NULL,
+        snapshot_date DATE NOT NULL,
+        account_name VARCHAR(255),
+        account_type VARCHAR(50),
+        account_subtype VARCHAR(50),
+        kind VARCHAR(10) NOT NULL,
+        balance DECIMAL(14,2) NOT NULL,
+        investment_value DECIMAL(14,2),
+        iso_currency_code VARCHAR(3),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(bank_id, account_id, snapshot_date)
+      )
+    `);
+
+    // Rows from before signed_balance only kept the magnitude, so their sign comes from kind
+    await pool.query(`
+      ALTER TABLE balance_snapshots ADD COLUMN IF NOT EXISTS signed_balance DECIMAL(14,2)
+    `);
+
+    await pool.query(`
+      UPDATE balance_snapshots
+      SET signed_balance = CASE WHEN kind = 'liability' THEN -balance ELSE balance END
+      WHERE signed_balance IS NULL
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_balance_snapshots_user_date ON balance_snapshots(user_id, snapshot_date)
+    `);
+
+    console.log('✅ Balance snapshots table ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Balance snapshots table exists but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with balance snapshots table:', error.message);
+    }
+  }
+};
+
+// Market value of each investment account, from its holdings; empty when the bank has none.
+// The holdings are kept as that day's holdings snapshot too.
+const loadInvestmentValues = async (bank, accounts, snapshotDate) => {
+  if (!accounts.some(account => account.type === 'investment' || account.subtype === 'brokerage')) {
+    return {};
+  }
+
+  let response;
+  try {
+    response = await client.investmentsHoldingsGet({ access_token: getAccessToken(bank) });
+  } catch (error) {
+    // Not every institution supports investments, the account balance is the fallback
+    console.log(`ℹ️ No holdings for bank ${bank.id}, using account balances:`, error.response?.data?.error_code || error.message);
+    return {};
+  }
+
+  await saveHoldingsSnapshot(bank, response.data, snapshotDate);
+
+  const values = {};
+  for (const holding of response.data.holdings || []) {
+    const value = holding.institution_value ?? (holding.quantity * holding.institution_price);
+    values[holding.account_id] = (values[holding.account_id] || 0) + (value || 0);
+  }
+  return values;
+};
+
+// Record today's balance of every account at one bank
+const snapshotBank = async (bank, snapshotDate = new Date().toISOString().slice(0, 10)) => {
+  const accountsResponse = await client.accountsGet({ access_token: getAccessToken(bank) });
+  const accounts = accountsResponse.data.accounts;
+  await saveAccounts(bank, accounts);
+
+  const investmentValues = await loadInvestmentValues(bank, accounts, snapshotDate);
+
+  for (const account of accounts) {
+    const kind = LIABILITY_TYPES.includes(account.type) ? 'liability' : 'asset';
+    const investmentValue = investmentValues[account.account_id];
+    const balance = investmentValue !== undefined ? investmentValue : (account.balances.current ?? account.balances.available ?? 0);
+
+    await pool.query(`
+      INSERT INTO balance_snapshots (
+        user_id, bank_id, account_id, snapshot_date, account_name, account_type, account_subtype,
+        kind, balance, signed_balance, investment_value, iso_currency_code
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      ON CONFLICT (bank_id, account_id, snapshot_date)
+      DO UPDATE SET account_name = $5, account_type = $6, account_subtype = $7, kind = $8,
+        balance = $9, signed_balance = $10, investment_value = $11, iso_currency_code = $12,
+        created_at = CURRENT_TIMESTAMP
+    `, [
+      bank.user_id, bank.id, account.account_id, snapshotDate, account.name, account.type, account.subtype,
+      kind, roundMoney(balance), roundMoney(kind === 'liability' ? -balance : balance),
+      investmentValue !== undefined ? roundMoney(investmentValue) : null, account.balances.iso_currency_code
+    ]);
+  }
+
+  await clearBankError(bank);
+
+  return accounts.length;
+};
+
+// Snapshot every connected bank, for one user or for everybody. Failures are recorded on the
+// bank and the rest carry on.
+const snapshotBalances = async (userId = null) => {
+  const banks = await pool.query(`
+    SELECT * FROM user_banks
+    WHERE ($1::int IS NULL OR user_id = $1)
+      AND (status IS NULL OR status <> ALL($2))
+    ORDER BY id
+  `, [userId, SKIPPED_BANK_STATUSES]);
+
+  let accounts = 0;
+  let failed = 0;
+
+  for (const bank of banks.rows) {
+    try {
+      accounts += await snapshotBank(bank);
+    } catch (error) {
+      failed += 1;
+      console.error(`❌ Error snapshotting balances for bank ${bank.id}:`, error.message);
+      await recordBankError(bank, error);
+    }
+  }
+
+  console.log(`📸 Snapshotted ${accounts} accounts at ${banks.rows.length - failed}/${banks.rows.length} banks`);
+
+  return { banks: banks.rows.length, failed, accounts };
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// A real YYYY-MM-DD calendar date; Date.parse alone rolls 2024-02-30 over into March
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') &&
+  !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) && formatDate(new Date(`${value}T00:00:00Z`)) === value;
+
+// How many points intervalEnds would return, without building them
+const countIntervals = (from, to, interval) => {
+  const start = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+  if (end < start) return 0;
+
+  if (interval === 'month') {
+    return (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth() + 1;
+  }
+  if (interval === 'week') {
+    // Weeks run Monday to Sunday
+    const monday = start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS;
+    return Math.floor((end.getTime() - monday) / (7 * DAY_MS)) + 1;
+  }
+  return Math.round((end - start) / DAY_MS) + 1;
+};
+
+// End date of every interval between from and to, the last one being to itself
+const intervalEnds = (from, to, interval) => {
+  const ends = [];
+  const end = new Date(`${to}T00:00:00Z`);
+  const start = new Date(`${from}T00:00:00Z`);
+
+  let cursor = new Date(start);
+  while (cursor <= end) {
+    let next;
+    if (interval === 'month') {
+      next = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 0));
+    } else if (interval === 'week') {
+      next = new Date(cursor.getTime() + ((7 - cursor.getUTCDay()) % 7) * DAY_MS);
+    } else {
+      next = new Date(cursor);
+    }
+    if (next > end) {
+      next = end;
+    }
+    ends.push(formatDate(next));
+    cursor = new Date(next.getTime() + DAY_MS);
+  }
+
+  return ends;
+};
+
+// Assets, liabilities and net worth at the end of each interval, by bank and by account type.
+// An account without a snapshot on a given day counts at its last known balance.
+const loadNetWorthSeries = async (userId, { from, to, interval }) => {
+  const snapshots = await pool.query(`
+    SELECT s.bank_id, b.institution_name, s.account_id, to_char(s.snapshot_date, 'YYYY-MM-DD') AS snapshot_date,
+      s.account_type, s.kind, s.signed_balance
+    FROM balance_snapshots s
+    JOIN user_banks b ON b.id = s.bank_id
+    WHERE s.user_id = $1 AND s.snapshot_date <= $3::date
+      AND (s.snapshot_date >= $2::date OR s.snapshot_date = (
+        SELECT MAX(p.snapshot_date) FROM balance_snapshots p
+        WHERE p.bank_id = s.bank_id AND p.account_id = s.account_id AND p.snapshot_date < $2::date
+      ))
+    ORDER BY s.snapshot_date ASC
+  `, [userId, from, to]);
+
+  const latest = {};
+  let index = 0;
+
+  return intervalEnds(from, to, interval).map(date => {
+    while (index < snapshots.rows.length && snapshots.rows[index].snapshot_date <= date) {
+      const row = snapshots.rows[index];
+      latest[`${row.bank_id}:${row.account_id}`] = row;
+      index += 1;
+    }
+
+    const point = { date, assets: 0, liabilities: 0, net_worth: 0, by_bank: {}, by_account_type: {} };
+
+    for (const row of Object.values(latest)) {
+      // Liabilities are reported as the amount owed, so a card in credit lowers them
+      const signed = parseFloat(row.signed_balance);
+      const side = row.kind === 'liability' ? 'liabilities' : 'assets';
+      const amount = row.kind === 'liability' ? -signed : signed;
+
+      point[side] += amount;
+
+      const bank = point.by_bank[row.bank_id] || (point.by_bank[row.bank_id] = {
+        bank_id: row.bank_id, bank_name: row.institution_name, assets: 0, liabilities: 0, net_worth: 0
+      });
+      bank[side] += amount;
+      bank.net_worth += signed;
+
+      const type = row.account_type || 'other';
+      point.by_account_type[type] = (point.by_account_type[type] || 0) + signed;
+    }
+
+    point.assets = roundMoney(point.assets);
+    point.liabilities = roundMoney(point.liabilities);
+    point.net_worth = roundMoney(point.assets - point.liabilities);
+    point.by_bank = Object.values(point.by_bank).map(bank => ({
+      ...bank,
+      assets: roundMoney(bank.assets),
+      liabilities: roundMoney(bank.liabilities),
+      net_worth: roundMoney(bank.net_worth)
+    }));
+    Object.keys(point.by_account_type).forEach(type => {
+      point.by_account_type[type] = roundMoney(point.by_account_type[type]);
+    });
+
+    return point;
+  });
+};
+
+module.exports = {
+  ensureSnapshotTable,
+  snapshotBank,
+  snapshotBalances,
+  isValidDate,
+  countIntervals,
+  intervalEnds,
+  loadNetWorthSeries
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+const pool = require('../config/database');
+
+// Plaid error codes that only the user can fix, by going through Link in update mode
+const LOGIN_REQUIRED_CODES = [
+  'ITEM_LOGIN_REQUIRED',
+  'PENDING_EXPIRATION',
+  'PENDING_DISCONNECT',
+  'INVALID_CREDENTIALS',
+  'INVALID_MFA',
+  'INVALID_UPDATED_USERNAME',
+  'INSUFFICIENT_CREDENTIALS',
+  'ITEM_LOCKED',
+  'USER_SETUP_REQUIRED',
+  'MFA_NOT_SUPPORTED',
+  'ACCESS_NOT_GRANTED'
+];
+
+// Plaid error codes meaning the connection is gone and has to be linked again from scratch
+const BROKEN_CODES = [
+  'ITEM_NOT_FOUND',
+  'INVALID_ACCESS_TOKEN',
+  'ITEM_NOT_SUPPORTED',
+  'USER_PERMISSION_REVOKED',
+  'USER_ACCOUNT_REVOKED'
+];
+
+// Record the connection state of a bank
+const setBankStatus = async (bank, status, errorCode = null) => {
+  await pool.query(`
+    UPDATE user_banks
+    SET status = $1, error_code = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $3
+  `, [status, errorCode, bank.id]);
+
+  bank.status = status;
+  bank.error_code = errorCode;
+
+  console.log(`🏦 Bank ${bank.id} status set to ${status}${errorCode ? ` (${errorCode})` : ''}`);
+};
+
+// Persist a Plaid error against the bank when it means the connection needs attention.
+// Returns the error code, or null for transient errors (timeouts, PRODUCT_NOT_READY...).
+const recordBankError = async (bank, error) => {
+  const errorCode = error.response?.data?.error_code;
+
+  if (LOGIN_REQUIRED_CODES.includes(errorCode)) {
+    await setBankStatus(bank, 'login_required', errorCode);
+    return errorCode;
+  }
+
+  if (BROKEN_CODES.includes(errorCode)) {
+    await setBankStatus(bank, 'error', errorCode);
+    return errorCode;
+  }
+
+  return null;
+};
+
+// A successful Plaid call proves the connection works again
+const clearBankError = async (bank) => {
+  if (bank.status && bank.status !== 'active') {
+    await setBankStatus(bank, 'active');
+  }
+};
+
+// Banks the frontend should offer a "Reconnect" button for
+const loadBankErrors = async (userId) => {
+  const result = await pool.query(`
+    SELECT id AS bank_id, institution_name, status, error_code
+    FROM user_banks
+    WHERE user_id = $1 AND status IS NOT NULL AND status NOT IN ('active', 'duplicate_pending')
+    ORDER BY id
+  `, [userId]);
+
+  return result.rows.map(row => ({
+    ...row,
+    needs_reconnect: row.status === 'login_required'
+  }));
+};
+
+module.exports = {
+  setBankStatus,
+  recordBankError,
+  clearBankError,
+  loadBankErrors
+};
\ No newline at end of file
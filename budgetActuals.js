@@ -0,0 +1,135 @@
+const pool = require('../config/database');
+
+// Money moving between the user's own accounts is not spending
+const TRANSFER_PRIMARY_CATEGORIES = ['TRANSFER_IN', 'TRANSFER_OUT'];
+const TRANSFER_DETAILED_CATEGORIES = ['LOAN_PAYMENTS_CREDIT_CARD_PAYMENT'];
+
+// Money coming in that isn't a refund of spending
+const INCOME_PRIMARY_CATEGORIES = ['INCOME'];
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const isValidMonth = (month) => MONTH_PATTERN.test(month || '');
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+// Budgets and categorizations are free text, so compare them loosely
+const categoryKey = (category) => String(category || '').trim().toLowerCase();
+
+const isTransfer = (tx) =>
+  TRANSFER_PRIMARY_CATEGORIES.includes(tx.category_primary) ||
+  TRANSFER_DETAILED_CATEGORIES.includes(tx.category_detailed);
+
+const isIncome = (tx) => INCOME_PRIMARY_CATEGORIES.includes(tx.category_primary) && parseFloat(tx.amount) < 0;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Sum a user's stored transactions for one month, by their user category.
+// Plaid amounts are positive for money out, so refunds (negative) reduce spending.
+// Transfers and income only count toward a category when the user filed them there
+// themselves; auto-categorized ones are reported on their own.
+// A split transaction counts once per portion, each toward its own category.
+// Transactions the user ignored in the review queue don't count at all.
+const loadMonthActuals = async (userId, month) => {
+  const result = await pool.query(`
+    SELECT
+      t.transaction_id,
+      COALESCE(ts.amount, t.amount) AS amount,
+      t.category_primary,
+      t.category_detailed,
+      COALESCE(ts.category, tc.category) AS category,
+      tc.source
+    FROM transactions t
+    LEFT JOIN transaction_categorizations tc
+      ON tc.user_id = t.user_id AND tc.transaction_id = t.transaction_id
+    LEFT JOIN transaction_splits ts
+      ON tc.is_split AND ts.user_id = t.user_id AND ts.transaction_id = t.transaction_id
+    WHERE t.user_id = $1
+      AND t.date >= to_date($2, 'YYYY-MM')
+      AND t.date < to_date($2, 'YYYY-MM') + INTERVAL '1 month'
+      AND NOT EXISTS (
+        SELECT 1 FROM manual_review_transactions mr
+        WHERE mr.user_id = t.user_id AND mr.transaction_id = t.transaction_id AND mr.status = 'ignored'
+      )
+  `, [userId, month]);
+
+  const categories = {};
+  const uncategorized = { spent: 0, refunded: 0, count: 0 };
+  const transfers = { amount: 0, count: 0 };
+  const income = { amount: 0, count: 0 };
+
+  for (const tx of result.rows) {
+    const amount = parseFloat(tx.amount);
+    const userCategorized = tx.category && tx.source === 'user';
+
+    if (!userCategorized && isTransfer(tx)) {
+      transfers.amount += amount;
+      transfers.count += 1;
+      continue;
+    }
+
+    if (!userCategorized && isIncome(tx)) {
+      income.amount += -amount;
+      income.count += 1;
+      continue;
+    }
+
+    if (!tx.category) {
+      if (amount >= 0) {
+        uncategorized.spent += amount;
+      } else {
+        uncategorized.refunded += -amount;
+      }
+      uncategorized.count += 1;
+      continue;
+    }
+
+    const key = categoryKey(tx.category);
+    if (!categories[key]) {
+      categories[key] = { category: tx.category, spent: 0, refunded: 0, count: 0 };
+    }
+    categories[key].spent += amount;
+    if (amount < 0) {
+      categories[key].refunded += -amount;
+    }
+    categories[key].count += 1;
+  }
+
+  Object.values(categories).forEach(entry => {
+    entry.spent = roundMoney(entry.spent);
+    entry.refunded = roundMoney(entry.refunded);
+  });
+  uncategorized.spent = roundMoney(uncategorized.spent);
+  uncategorized.refunded = roundMoney(uncategorized.refunded);
+  transfers.amount = roundMoney(transfers.amount);
+  income.amount = roundMoney(income.amount);
+
+  return { categories, uncategorized, transfers, income };
+};
+
+// Straight-line projection of month-end spend from what was spent so far
+const projectMonthEnd = (spent, month, now = new Date()) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const daysInMonth = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+  const nowMonth = now.toISOString().slice(0, 7);
+
+  if (month < nowMonth) {
+    return spent;
+  }
+  if (month > nowMonth) {
+    return 0;
+  }
+
+  const daysElapsed = now.getUTCDate();
+  return roundMoney((spent / daysElapsed) * daysInMonth);
+};
+
+module.exports = {
+  isValidMonth,
+  currentMonth,
+  categoryKey,
+  isTransfer,
+  roundMoney,
+  loadMonthActuals,
+  projectMonthEnd
+};
\ No newline at end of file
@@ -0,0 +1,290 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const pool = require('../config/database');
+const { sendMail } = require('./mailer');
+const { categoryKey, roundMoney, loadMonthActuals } = require('./budgetActuals');
+
+// Used until the user saves their own settings
+const DEFAULT_THRESHOLDS = [50, 80, 100];
+const DEFAULT_CHANNELS = ['in_app'];
+
+// A slow webhook receiver gets this long before the delivery is given up
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Webhook URLs are user supplied, so they may not point back into our own network:
+// loopback, private, link-local (cloud metadata), carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is judged by the IPv4 address inside it
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// dns.lookup that refuses blocked addresses, used as the connection's lookup so the address
+// checked is the address connected to
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a blocked address ${blocked.address}`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Check a webhook URL before saving it, returns an error message or null
+const checkWebhookUrl = async (webhookUrl) => {
+  let url;
+  try {
+    url = new URL(webhookUrl);
+  } catch (error) {
+    return 'webhook_url is not a valid URL';
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'webhook_url must be an http(s) URL';
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  try {
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true });
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      return 'webhook_url may not point to a private or local address';
+    }
+  } catch (error) {
+    return `webhook_url host could not be resolved: ${hostname}`;
+  }
+
+  return null;
+};
+
+// POST JSON to a user supplied URL: no redirects, a timeout, and only to public addresses
+const postWebhook = (webhookUrl, payload) => new Promise((resolve, reject) => {
+  const url = new URL(webhookUrl);
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  // IP literals never go through lookup, so they are checked here
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    return reject(new Error(`Webhook address ${hostname} is blocked`));
+  }
+
+  const body = JSON.stringify(payload);
+  const request = (url.protocol === 'https:' ? https : http).request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+    lookup: safeLookup,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  }, (response) => {
+    response.resume();
+    if (response.statusCode >= 200 && response.statusCode < 300) {
+      resolve();
+    } else {
+      reject(new Error(`Webhook responded with ${response.statusCode}`));
+    }
+  });
+
+  request.on('error', reject);
+  request.end(body);
+});
+
+// Ensure the alert settings and alert history tables exist
+const ensureBudgetAlertTables = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS budget_alert_settings (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        thresholds INTEGER[] NOT NULL DEFAULT '{50,80,100}',
+        channels TEXT[] NOT NULL DEFAULT '{in_app}',
+        webhook_url TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // One row per category, month and threshold, so each threshold only fires once a month
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS budget_alerts (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        budget_id INTEGER REFERENCES budgets(id) ON DELETE CASCADE,
+        category VARCHAR(100) NOT NULL,
+        month VARCHAR(7) NOT NULL,
+        threshold INTEGER NOT NULL,
+        spent DECIMAL(10,2) NOT NULL,
+        budgeted DECIMAL(10,2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        acknowledged_at TIMESTAMP,
+        UNIQUE(user_id, category, month, threshold)
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_budget_alerts_user_month ON budget_alerts(user_id, month)
+    `);
+
+    console.log('✅ Budget alert tables ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Budget alert tables exist but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with budget alert tables:', error.message);
+    }
+  }
+};
+
+const alertMessage = (alert) => alert.threshold >= 100
+  ? `You have gone over your ${alert.category} budget for ${alert.month}: $${alert.spent} of $${alert.budgeted}`
+  : `You have used ${alert.threshold}% of your ${alert.category} budget for ${alert.month}: $${alert.spent} of $${alert.budgeted}`;
+
+// Delivery channels, picked per user. A channel is an async (user, settings, alert) function.
+const ALERT_CHANNELS = {
+  in_app: async (user, settings, alert) => {
+    await pool.query(`
+      INSERT INTO notifications (user_id, type, message, payload)
+      VALUES ($1, $2, $3, $4)
+    `, [user.id, 'BUDGET_THRESHOLD', alertMessage(alert), JSON.stringify(alert)]);
+  },
+  email: async (user, settings, alert) => {
+    await sendMail({
+      to: user.email,
+      subject: `Budget alert: ${alert.category}`,
+      text: `Hi ${user.username},\n\n${alertMessage(alert)}.\n`
+    });
+  },
+  webhook: async (user, settings, alert) => {
+    if (!settings.webhook_url) {
+      throw new Error('No webhook URL configured');
+    }
+
+    await postWebhook(settings.webhook_url, { type: 'BUDGET_THRESHOLD', message: alertMessage(alert), alert });
+  }
+};
+
+// Add or replace a delivery channel (e.g. push notifications, or a stub in tests)
+const registerAlertChannel = (name, channel) => {
+  ALERT_CHANNELS[name] = channel;
+};
+
+const loadAlertSettings = async (userId) => {
+  const result = await pool.query(
+    'SELECT thresholds, channels, webhook_url FROM budget_alert_settings WHERE user_id = $1',
+    [userId]
+  );
+
+  return result.rows[0] || { thresholds: DEFAULT_THRESHOLDS, channels: DEFAULT_CHANNELS, webhook_url: null };
+};
+
+// Send an alert through every channel the user picked; one failing channel doesn't stop the others
+const deliverAlert = async (user, settings, alert) => {
+  for (const channelName of settings.channels) {
+    const channel = ALERT_CHANNELS[channelName];
+    if (!channel) {
+      console.log(`⚠️ Unknown budget alert channel ${channelName}`);
+      continue;
+    }
+
+    try {
+      await channel(user, settings, alert);
+    } catch (error) {
+      console.error(`❌ Budget alert ${alert.id} not delivered via ${channelName}:`, error.message);
+    }
+  }
+};
+
+// Check the budgets touched by newly categorized transactions and raise an alert for every
+// threshold crossed for the first time this month. Entries are { category, date }.
+// Alerts are recorded before this returns; delivering them happens in the background so a slow
+// mail server or webhook never holds up categorization.
+const evaluateBudgetAlerts = async (userId, entries) => {
+  const byMonth = {};
+  for (const entry of entries) {
+    if (!entry.category || !entry.date) continue;
+
+    const month = String(entry.date).slice(0, 7);
+    byMonth[month] = byMonth[month] || new Set();
+    byMonth[month].add(categoryKey(entry.category));
+  }
+
+  const months = Object.keys(byMonth);
+  if (months.length === 0) return [];
+
+  const settings = await loadAlertSettings(userId);
+  const thresholds = [...settings.thresholds].sort((a, b) => a - b);
+  const raised = [];
+
+  for (const month of months) {
+    const budgets = await pool.query(
+      'SELECT id, category, amount FROM budgets WHERE user_id = $1 AND month = $2',
+      [userId, month]
+    );
+    const touched = budgets.rows.filter(budget => byMonth[month].has(categoryKey(budget.category)));
+    if (touched.length === 0) continue;
+
+    const actuals = await loadMonthActuals(userId, month);
+
+    for (const budget of touched) {
+      const budgeted = parseFloat(budget.amount);
+      if (!(budgeted > 0)) continue;
+
+      const spent = actuals.categories[categoryKey(budget.category)]?.spent || 0;
+      const percentUsed = (spent / budgeted) * 100;
+
+      for (const threshold of thresholds.filter(value => percentUsed >= value)) {
+        const result = await pool.query(`
+          INSERT INTO budget_alerts (user_id, budget_id, category, month, threshold, spent, budgeted)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          ON CONFLICT (user_id, category, month, threshold) DO NOTHING
+          RETURNING *
+        `, [userId, budget.id, budget.category, month, threshold, roundMoney(spent), budgeted]);
+
+        if (result.rows.length > 0) {
+          raised.push(result.rows[0]);
+        }
+      }
+    }
+  }
+
+  if (raised.length > 0) {
+    const user = await pool.query('SELECT id, username, email FROM users WHERE id = $1', [userId]);
+    console.log(`🚨 Raised ${raised.length} budget alerts for user ${userId}`);
+
+    (async () => {
+      for (const alert of raised) {
+        await deliverAlert(user.rows[0], settings, alert);
+      }
+    })().catch(error => {
+      console.error(`❌ Budget alert delivery for user ${userId} failed:`, error.message);
+    });
+  }
+
+  return raised;
+};
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  ALERT_CHANNELS,
+  ensureBudgetAlertTables,
+  checkWebhookUrl,
+  registerAlertChannel,
+  loadAlertSettings,
+  evaluateBudgetAlerts
+};
\ No newline at end of file
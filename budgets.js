@@ -1,6 +1,22 @@
 const express = require('express');
 const pool = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  isValidMonth,
+  currentMonth,
+  categoryKey,
+  roundMoney,
+  loadMonthActuals,
+  projectMonthEnd
+} = require('./budgetActuals');
+const {
+  ALERT_CHANNELS,
+  ensureBudgetAlertTables,
+  checkWebhookUrl,
+  loadAlertSettings
+} = require('./budgetAlerts');
+const { ensureCategoriesTable, resolveCategory, findPlaidCategory } = require('./categoryStore');
+const { ensureDebtPlanTable, loadDebtPlan } = require('./debtPayoff');
 
 const router = express.Router();
 
@@ -46,6 +62,24 @@ const ensureBudgetsTable = async () => {
     } else {
       console.log('✅ Budgets table already exists');
     }
+
+    // Rollover: base_amount is what the user asked for, carried_amount what the previous month left over
+    await pool.query(`
+      ALTER TABLE budgets
+        ADD COLUMN IF NOT EXISTS rollover_mode VARCHAR(20) DEFAULT 'none',
+        ADD COLUMN IF NOT EXISTS base_amount DECIMAL(10,2),
+        ADD COLUMN IF NOT EXISTS carried_amount DECIMAL(10,2) DEFAULT 0
+    `);
+
+    // Months whose rows were already created from the previous month
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS budget_months (
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        month VARCHAR(7) NOT NULL,
+        materialized_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, month)
+      )
+    `);
   } catch (error) {
     // If we get a permission error but the table exists, that's OK
     if (error.code === '42501') {
@@ -56,62 +90,295 @@ const ensureBudgetsTable = async () => {
   }
 };
 
-// Initialize table on startup
-ensureBudgetsTable();
+// Initialize tables on startup; alerts and category ids reference budgets so they come after
+ensureBudgetsTable().then(ensureBudgetAlertTables).then(ensureCategoriesTable).then(ensureDebtPlanTable);
+
+// none: the budget stops at month end
+// repeat: same amount next month
+// carry_unused: unspent balance is added to next month
+// carry_overspend: overspending is taken off next month (can go negative)
+const ROLLOVER_MODES = ['none', 'repeat', 'carry_unused', 'carry_overspend'];
+
+// How far back materialization will walk to find a month with budgets
+const MAX_MATERIALIZE_MONTHS = 12;
+
+const previousMonth = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthIndex - 2, 1)).toISOString().slice(0, 7);
+};
+
+// What a rolling budget hands over to the next month
+const carryOver = (budget, spent) => {
+  const leftover = parseFloat(budget.amount) - spent;
+
+  switch (budget.rollover_mode) {
+    case 'carry_unused':
+      return roundMoney(Math.max(leftover, 0));
+    case 'carry_overspend':
+      return roundMoney(Math.min(leftover, 0));
+    default:
+      return 0;
+  }
+};
+
+// Create a month's budget rows from the previous month's rolling budgets and actuals.
+// Runs once per user and month unless forced; rows that already exist are never overwritten.
+const materializeMonth = async (userId, month, { force = false, depth = 0 } = {}) => {
+  if (!force) {
+    const done = await pool.query(
+      'SELECT 1 FROM budget_months WHERE user_id = $1 AND month = $2',
+      [userId, month]
+    );
+    if (done.rows.length > 0) {
+      return 0;
+    }
+  }
+
+  const prev = previousMonth(month);
+  let prevBudgets = await pool.query(
+    "SELECT * FROM budgets WHERE user_id = $1 AND month = $2 AND rollover_mode <> 'none'",
+    [userId, prev]
+  );
+
+  // The previous month may itself never have been opened
+  if (prevBudgets.rows.length === 0 && depth < MAX_MATERIALIZE_MONTHS) {
+    const anyEarlier = await pool.query(
+      'SELECT 1 FROM budgets WHERE user_id = $1 AND month < $2 LIMIT 1',
+      [userId, prev]
+    );
+    if (anyEarlier.rows.length > 0) {
+      await materializeMonth(userId, prev, { depth: depth + 1 });
+      prevBudgets = await pool.query(
+        "SELECT * FROM budgets WHERE user_id = $1 AND month = $2 AND rollover_mode <> 'none'",
+        [userId, prev]
+      );
+    }
+  }
+
+  let created = 0;
+  if (prevBudgets.rows.length > 0) {
+    const actuals = await loadMonthActuals(userId, prev);
+
+    for (const budget of prevBudgets.rows) {
+      const spent = actuals.categories[categoryKey(budget.category)]?.spent || 0;
+      const baseAmount = parseFloat(budget.base_amount ?? budget.amount);
+      const carried = carryOver(budget, spent);
+
+      const result = await pool.query(`
+        INSERT INTO budgets (user_id, category, category_id, amount, month, rollover_mode, base_amount, carried_amount)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (user_id, category, month) DO NOTHING
+      `, [userId, budget.category, budget.category_id, roundMoney(baseAmount + carried), month, budget.rollover_mode, baseAmount, carried]);
+      created += result.rowCount;
+    }
+  }
+
+  await pool.query(
+    'INSERT INTO budget_months (user_id, month) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+    [userId, month]
+  );
+
+  if (created > 0) {
+    console.log(`🔁 Materialized ${created} budgets for ${month} from ${prev}`);
+  }
+
+  return created;
+};
+
+// Insert or update a budget; the amount the user types is the base, any carry-over is kept on top.
+// The category is matched against the user's categories, so "groceries" lands on "Groceries".
+const saveBudget = async (userId, categoryName, amount, month, rolloverMode) => {
+  const category = await resolveCategory(userId, categoryName);
+
+  return pool.query(`
+    INSERT INTO budgets (user_id, category, category_id, amount, month, rollover_mode, base_amount) 
+    VALUES ($1, $2, $3, $4, $5, COALESCE($6, 'none'), $4)
+    ON CONFLICT (user_id, category, month) 
+    DO UPDATE SET
+      amount = $4 + COALESCE(budgets.carried_amount, 0),
+      base_amount = $4,
+      category_id = $3,
+      rollover_mode = COALESCE($6, budgets.rollover_mode),
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [userId, category.name, category.id, amount, month, rolloverMode || null]);
+};
 
 // GET /api/budgets - Get user's budgets
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const currentMonth = new Date().toISOString().slice(0, 7);
+    const month = req.query.month || currentMonth();
+
+    if (!isValidMonth(month)) {
+      return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    }
+
+    // Opening a month for the first time brings the rolling budgets over. Future months
+    // wait until they start, so the carry-over is based on a finished month.
+    if (month <= currentMonth()) {
+      await materializeMonth(req.user_id, month);
+    }
+
     const query = `
-      SELECT id, category, amount, month, created_at, updated_at
+      SELECT id, category, category_id, amount, month, rollover_mode, base_amount, carried_amount, created_at, updated_at
       FROM budgets 
       WHERE user_id = $1 AND month = $2
       ORDER BY category
     `;
     
-    const result = await pool.query(query, [req.user_id, currentMonth]);
-    res.json({ budgets: result.rows });
+    const result = await pool.query(query, [req.user_id, month]);
+    res.json({ month, budgets: result.rows });
   } catch (error) {
     console.error('Error fetching budgets:', error);
     res.status(500).json({ error: 'Failed to fetch budgets' });
   }
 });
 
+// GET /api/budgets/summary?month=YYYY-MM - Budget vs. actual spending per category
+router.get('/summary', authenticateToken, async (req, res) => {
+  try {
+    const month = req.query.month || currentMonth();
+
+    if (!isValidMonth(month)) {
+      return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    }
+
+    const budgetsResult = await pool.query(
+      'SELECT id, category, category_id, amount FROM budgets WHERE user_id = $1 AND month = $2 ORDER BY category',
+      [req.user_id, month]
+    );
+    const actuals = await loadMonthActuals(req.user_id, month);
+
+    // From the month it was saved, a debt payoff plan's monthly payment is the budget line for the
+    // loan payments category, replacing any budget the user set for it
+    const debtPlan = await loadDebtPlan(req.user_id);
+    const planApplies = debtPlan && month >= new Date(debtPlan.created_at).toISOString().slice(0, 7);
+    const loanCategory = planApplies ? await findPlaidCategory(req.user_id, 'LOAN_PAYMENTS') : null;
+    const loanKey = planApplies ? categoryKey(loanCategory ? loanCategory.name : 'Loan Payments') : null;
+
+    const categories = budgetsResult.rows.filter(budget => categoryKey(budget.category) !== loanKey).map(budget => {
+      const actual = actuals.categories[categoryKey(budget.category)];
+      const budgeted = parseFloat(budget.amount);
+      const spent = actual ? actual.spent : 0;
+      const projected = projectMonthEnd(spent, month);
+
+      return {
+        budget_id: budget.id,
+        category: budget.category,
+        category_id: budget.category_id,
+        budgeted,
+        spent,
+        refunded: actual ? actual.refunded : 0,
+        remaining: roundMoney(budgeted - spent),
+        percent_used: budgeted > 0 ? roundMoney((spent / budgeted) * 100) : null,
+        projected_spend: projected,
+        projected_over_budget: projected > budgeted,
+        transaction_count: actual ? actual.count : 0
+      };
+    });
+
+    if (planApplies) {
+      const actual = actuals.categories[loanKey];
+      const budgeted = parseFloat(debtPlan.monthly_budget);
+      const spent = actual ? actual.spent : 0;
+      const replaced = budgetsResult.rows.find(budget => categoryKey(budget.category) === loanKey);
+
+      categories.push({
+        budget_id: null,
+        category: 'Debt Payoff Plan',
+        category_id: loanCategory ? loanCategory.id : null,
+        source: 'debt_payoff_plan',
+        strategy: debtPlan.strategy,
+        covers_category: actual ? actual.category : (loanCategory ? loanCategory.name : 'Loan Payments'),
+        replaces_budget_id: replaced ? replaced.id : null,
+        budgeted,
+        spent,
+        refunded: actual ? actual.refunded : 0,
+        remaining: roundMoney(budgeted - spent),
+        percent_used: roundMoney((spent / budgeted) * 100),
+        // Loan payments land on due dates, a straight-line projection means nothing
+        projected_spend: null,
+        projected_over_budget: false,
+        transaction_count: actual ? actual.count : 0
+      });
+    }
+
+    // Categorized spending with no budget line this month
+    const budgetedKeys = new Set(budgetsResult.rows.map(budget => categoryKey(budget.category)));
+    if (loanKey) {
+      budgetedKeys.add(loanKey);
+    }
+    const unbudgeted = Object.entries(actuals.categories)
+      .filter(([key]) => !budgetedKeys.has(key))
+      .map(([, actual]) => ({
+        category: actual.category,
+        spent: actual.spent,
+        refunded: actual.refunded,
+        transaction_count: actual.count
+      }));
+
+    const totalBudgeted = roundMoney(categories.reduce((sum, entry) => sum + entry.budgeted, 0));
+    const totalSpent = roundMoney(categories.reduce((sum, entry) => sum + entry.spent, 0));
+
+    res.json({
+      month,
+      categories,
+      unbudgeted,
+      uncategorized: {
+        spent: actuals.uncategorized.spent,
+        refunded: actuals.uncategorized.refunded,
+        transaction_count: actuals.uncategorized.count
+      },
+      transfers_excluded: actuals.transfers,
+      income: actuals.income,
+      totals: {
+        budgeted: totalBudgeted,
+        spent: totalSpent,
+        remaining: roundMoney(totalBudgeted - totalSpent),
+        percent_used: totalBudgeted > 0 ? roundMoney((totalSpent / totalBudgeted) * 100) : null,
+        projected_spend: projectMonthEnd(totalSpent, month)
+      }
+    });
+  } catch (error) {
+    console.error('Error building budget summary:', error);
+    res.status(500).json({ error: 'Failed to build budget summary' });
+  }
+});
+
 // POST /api/budgets - Create/update budget
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { category, amount, month } = req.body;
+    const { category, amount, month, rollover_mode } = req.body;
     
     if (!category || amount === undefined || amount === null) {
       return res.status(400).json({ error: 'Category and amount are required' });
     }
 
+    if (rollover_mode && !ROLLOVER_MODES.includes(rollover_mode)) {
+      return res.status(400).json({ error: `Rollover mode must be one of: ${ROLLOVER_MODES.join(', ')}` });
+    }
+
     // Ensure amount is a valid number
     const numericAmount = parseFloat(amount);
     if (isNaN(numericAmount) || numericAmount < 0) {
       return res.status(400).json({ error: 'Amount must be a valid positive number' });
     }
 
-    const currentMonth = month || new Date().toISOString().slice(0, 7);
+    const budgetMonth = month || currentMonth();
+
+    if (!isValidMonth(budgetMonth)) {
+      return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    }
     
     console.log('💰 Saving budget:', { 
       user_id: req.user_id, 
       category, 
       amount: numericAmount, 
-      month: currentMonth 
+      month: budgetMonth,
+      rollover_mode
     });
     
-    // FIXED: Correct parameter order in ON CONFLICT clause
-    const query = `
-      INSERT INTO budgets (user_id, category, amount, month) 
-      VALUES ($1, $2, $3, $4)
-      ON CONFLICT (user_id, category, month) 
-      DO UPDATE SET amount = $3, updated_at = CURRENT_TIMESTAMP
-      RETURNING *
-    `;
-    
-    const result = await pool.query(query, [req.user_id, category, numericAmount, currentMonth]);
+    const result = await saveBudget(req.user_id, category, numericAmount, budgetMonth, rollover_mode);
     
     console.log('✅ Budget saved successfully:', result.rows[0]);
     res.json({ budget: result.rows[0], message: 'Budget saved successfully' });
@@ -123,19 +390,10 @@ router.post('/', authenticateToken, async (req, res) => {
       try {
         await ensureBudgetsTable();
         // Retry the operation
-        const { category, amount, month } = req.body;
+        const { category, amount, month, rollover_mode } = req.body;
         const numericAmount = parseFloat(amount);
-        const currentMonth = month || new Date().toISOString().slice(0, 7);
-        
-        const query = `
-          INSERT INTO budgets (user_id, category, amount, month) 
-          VALUES ($1, $2, $3, $4)
-          ON CONFLICT (user_id, category, month) 
-          DO UPDATE SET amount = $3, updated_at = CURRENT_TIMESTAMP
-          RETURNING *
-        `;
         
-        const result = await pool.query(query, [req.user_id, category, numericAmount, currentMonth]);
+        const result = await saveBudget(req.user_id, category, numericAmount, month || currentMonth(), rollover_mode);
         res.json({ budget: result.rows[0], message: 'Budget saved successfully' });
       } catch (retryError) {
         console.error('Error on retry after table creation:', retryError);
@@ -147,6 +405,127 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/budgets/materialize - Create a month's rows from the previous month's rolling budgets
+router.post('/materialize', authenticateToken, async (req, res) => {
+  try {
+    const month = req.body.month || currentMonth();
+
+    if (!isValidMonth(month)) {
+      return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    }
+
+    const created = await materializeMonth(req.user_id, month, { force: true });
+
+    res.json({ month, created, message: created > 0 ? 'Budgets carried over' : 'Nothing to carry over' });
+  } catch (error) {
+    console.error('Error materializing budgets:', error);
+    res.status(500).json({ error: 'Failed to materialize budgets' });
+  }
+});
+
+// GET /api/budgets/alerts - Budget alerts, newest first (?month=YYYY-MM, ?unacknowledged=true)
+router.get('/alerts', authenticateToken, async (req, res) => {
+  try {
+    const { month, unacknowledged } = req.query;
+
+    if (month && !isValidMonth(month)) {
+      return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    }
+
+    const result = await pool.query(`
+      SELECT id, budget_id, category, month, threshold, spent, budgeted, created_at, acknowledged_at
+      FROM budget_alerts
+      WHERE user_id = $1
+        AND ($2::varchar IS NULL OR month = $2)
+        AND ($3::boolean IS NOT TRUE OR acknowledged_at IS NULL)
+      ORDER BY created_at DESC, threshold DESC
+    `, [req.user_id, month || null, unacknowledged === 'true']);
+
+    res.json({ alerts: result.rows });
+  } catch (error) {
+    console.error('Error fetching budget alerts:', error);
+    res.status(500).json({ error: 'Failed to fetch budget alerts' });
+  }
+});
+
+// POST /api/budgets/alerts/acknowledge - Acknowledge alerts by id, or all of them
+router.post('/alerts/acknowledge', authenticateToken, async (req, res) => {
+  try {
+    const { alert_ids } = req.body;
+
+    if (alert_ids !== undefined && (!Array.isArray(alert_ids) || alert_ids.some(id => !Number.isInteger(id)))) {
+      return res.status(400).json({ error: 'alert_ids must be an array of alert ids' });
+    }
+
+    const result = await pool.query(`
+      UPDATE budget_alerts
+      SET acknowledged_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND acknowledged_at IS NULL
+        AND ($2::int[] IS NULL OR id = ANY($2))
+      RETURNING id
+    `, [req.user_id, alert_ids || null]);
+
+    res.json({ acknowledged: result.rows.map(row => row.id) });
+  } catch (error) {
+    console.error('Error acknowledging budget alerts:', error);
+    res.status(500).json({ error: 'Failed to acknowledge budget alerts' });
+  }
+});
+
+// GET /api/budgets/alerts/settings - Thresholds and delivery channels
+router.get('/alerts/settings', authenticateToken, async (req, res) => {
+  try {
+    const settings = await loadAlertSettings(req.user_id);
+
+    res.json({ settings, available_channels: Object.keys(ALERT_CHANNELS) });
+  } catch (error) {
+    console.error('Error fetching budget alert settings:', error);
+    res.status(500).json({ error: 'Failed to fetch budget alert settings' });
+  }
+});
+
+// PUT /api/budgets/alerts/settings - Change thresholds (percent of budget) and delivery channels
+router.put('/alerts/settings', authenticateToken, async (req, res) => {
+  try {
+    const current = await loadAlertSettings(req.user_id);
+    const thresholds = req.body.thresholds ?? current.thresholds;
+    const channels = req.body.channels ?? current.channels;
+    const webhookUrl = req.body.webhook_url !== undefined ? req.body.webhook_url : current.webhook_url;
+
+    if (!Array.isArray(thresholds) || thresholds.some(value => !Number.isInteger(value) || value < 1 || value > 1000)) {
+      return res.status(400).json({ error: 'Thresholds must be whole percentages between 1 and 1000' });
+    }
+
+    if (!Array.isArray(channels) || channels.some(name => !ALERT_CHANNELS[name])) {
+      return res.status(400).json({ error: `Channels must be any of: ${Object.keys(ALERT_CHANNELS).join(', ')}` });
+    }
+
+    if (channels.includes('webhook') && !webhookUrl) {
+      return res.status(400).json({ error: 'The webhook channel needs an http(s) webhook_url' });
+    }
+
+    if (webhookUrl) {
+      const urlError = await checkWebhookUrl(webhookUrl);
+      if (urlError) {
+        return res.status(400).json({ error: urlError });
+      }
+    }
+
+    const result = await pool.query(`
+      INSERT INTO budget_alert_settings (user_id, thresholds, channels, webhook_url)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id)
+      DO UPDATE SET thresholds = $2, channels = $3, webhook_url = $4, updated_at = CURRENT_TIMESTAMP
+      RETURNING thresholds, channels, webhook_url
+    `, [req.user_id, [...new Set(thresholds)].sort((a, b) => a - b), [...new Set(channels)], webhookUrl || null]);
+
+    res.json({ settings: result.rows[0] });
+  } catch (error) {
+    console.error('Error saving budget alert settings:', error);
+    res.status(500).json({ error: 'Failed to save budget alert settings' });
+  }
+});
+
 // DELETE /api/budgets/:id - Delete budget
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
@@ -0,0 +1,231 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  CATEGORY_REFERENCES,
+  ensureCategoriesTable,
+  ensureUserCategories,
+  cascadeCategoryName,
+  mergeCategories
+} = require('./categoryStore');
+
+const router = express.Router();
+
+// Initialize table on startup
+ensureCategoriesTable();
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const loadCategory = async (userId, categoryId, db = pool) => {
+  const result = await db.query(
+    'SELECT * FROM categories WHERE id = $1 AND user_id = $2',
+    [categoryId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Check name, colour, icon and parent for a new or changed category, returns an error message or null.
+// Categories are two levels deep: groups, and the categories inside them.
+const validateCategory = async (userId, fields, categoryId = null) => {
+  if (fields.name !== undefined && (!String(fields.name).trim() || String(fields.name).trim().length > 100)) {
+    return 'Name must be between 1 and 100 characters';
+  }
+
+  if (fields.color !== undefined && fields.color !== null && !COLOR_PATTERN.test(fields.color)) {
+    return 'Color must be a hex colour like #1565c0';
+  }
+
+  if (fields.icon !== undefined && fields.icon !== null && String(fields.icon).length > 50) {
+    return 'Icon must be at most 50 characters';
+  }
+
+  if (fields.parent_id !== undefined && fields.parent_id !== null) {
+    if (Number(fields.parent_id) === Number(categoryId)) {
+      return 'A category cannot be its own parent';
+    }
+
+    const parent = await loadCategory(userId, fields.parent_id);
+    if (!parent) {
+      return 'Parent category not found';
+    }
+    if (parent.parent_id) {
+      return 'Parent must be a top-level category';
+    }
+
+    if (categoryId) {
+      const children = await pool.query('SELECT 1 FROM categories WHERE parent_id = $1 LIMIT 1', [categoryId]);
+      if (children.rows.length > 0) {
+        return 'A category with subcategories cannot be moved under another category';
+      }
+    }
+  }
+
+  return null;
+};
+
+// GET /api/categories - The user's categories as groups with their children
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    await ensureUserCategories(req.user_id);
+
+    const result = await pool.query(`
+      SELECT c.id, c.name, c.parent_id, c.color, c.icon, c.plaid_primary,
+        (SELECT COUNT(*)::int FROM transaction_categorizations tc WHERE tc.category_id = c.id) AS transaction_count
+      FROM categories c
+      WHERE c.user_id = $1
+      ORDER BY c.name
+    `, [req.user_id]);
+
+    const groups = result.rows.filter(category => !category.parent_id).map(category => ({
+      ...category,
+      children: result.rows.filter(child => child.parent_id === category.id)
+    }));
+
+    res.json({ categories: groups, flat: result.rows });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+});
+
+// POST /api/categories - Create a category or group
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name, parent_id, color, icon } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    await ensureUserCategories(req.user_id);
+
+    const validationError = await validateCategory(req.user_id, req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO categories (user_id, name, parent_id, color, icon)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [req.user_id, String(name).trim(), parent_id || null, color || null, icon || null]);
+
+    res.status(201).json({ category: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A category with that name already exists, merge into it instead' });
+    }
+    console.error('Error creating category:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+// PUT /api/categories/:id - Rename, regroup or restyle a category; a rename reaches every
+// categorization, split, budget and rule filed under it
+router.put('/:id', authenticateToken, async (req, res) => {
+  const db = await pool.connect();
+  try {
+    const category = await loadCategory(req.user_id, req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const validationError = await validateCategory(req.user_id, req.body, category.id);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const name = req.body.name !== undefined ? String(req.body.name).trim() : category.name;
+    const parentId = req.body.parent_id !== undefined ? req.body.parent_id : category.parent_id;
+    const color = req.body.color !== undefined ? req.body.color : category.color;
+    const icon = req.body.icon !== undefined ? req.body.icon : category.icon;
+
+    await db.query('BEGIN');
+
+    const result = await db.query(`
+      UPDATE categories
+      SET name = $1, parent_id = $2, color = $3, icon = $4, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5 AND user_id = $6
+      RETURNING *
+    `, [name, parentId, color, icon, category.id, req.user_id]);
+
+    if (name !== category.name) {
+      await cascadeCategoryName(db, req.user_id, result.rows[0]);
+      console.log(`🗂️ Renamed category "${category.name}" to "${name}" for user ${req.user_id}`);
+    }
+
+    await db.query('COMMIT');
+
+    res.json({ category: result.rows[0] });
+  } catch (error) {
+    await db.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A category with that name already exists, merge into it instead' });
+    }
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: 'Failed to update category' });
+  } finally {
+    db.release();
+  }
+});
+
+// POST /api/categories/:id/merge - Move everything in this category into { into_id } and delete it
+router.post('/:id/merge', authenticateToken, async (req, res) => {
+  const db = await pool.connect();
+  try {
+    const { into_id } = req.body;
+
+    if (!into_id || Number(into_id) === Number(req.params.id)) {
+      return res.status(400).json({ error: 'into_id must be another category' });
+    }
+
+    await db.query('BEGIN');
+
+    const source = await loadCategory(req.user_id, req.params.id, db);
+    const target = await loadCategory(req.user_id, into_id, db);
+    if (!source || !target) {
+      await db.query('ROLLBACK');
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const combinedBudgets = await mergeCategories(db, req.user_id, source, target);
+
+    await db.query('COMMIT');
+
+    console.log(`🗂️ Merged category "${source.name}" into "${target.name}" for user ${req.user_id}`);
+
+    res.json({ category: target, merged: source.id, combined_budgets: combinedBudgets });
+  } catch (error) {
+    await db.query('ROLLBACK');
+    console.error('Error merging categories:', error);
+    res.status(500).json({ error: 'Failed to merge categories' });
+  } finally {
+    db.release();
+  }
+});
+
+// DELETE /api/categories/:id - Delete an unused category; its subcategories become top-level
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const category = await loadCategory(req.user_id, req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    for (const table of CATEGORY_REFERENCES) {
+      const used = await pool.query(`SELECT 1 FROM ${table} WHERE category_id = $1 LIMIT 1`, [category.id]);
+      if (used.rows.length > 0) {
+        return res.status(409).json({ error: 'Category is in use, merge it into another category instead' });
+      }
+    }
+
+    await pool.query('DELETE FROM categories WHERE id = $1 AND user_id = $2', [category.id, req.user_id]);
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
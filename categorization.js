@@ -0,0 +1,188 @@
+const pool = require('../config/database');
+const { evaluateBudgetAlerts } = require('./budgetAlerts');
+const { loadRules, findMatchingRule } = require('./categorizationRules');
+const { loadModel, predictCategory, loadAutoApplyConfidence, shouldAutoApply } = require('./categoryClassifier');
+const { resolveCategory, findPlaidCategory } = require('./categoryStore');
+
+// Define Plaid categories that are clear enough to auto-categorize
+const AUTO_CATEGORIZE_PLAID_CATEGORIES = [
+  'INCOME',
+  'PAYROLL', 
+  'DEPOSIT',
+  'TRANSFER_IN',
+  'TRANSFER_OUT',
+  'BANK_FEES',
+  'ATM_FEES',
+  'INTEREST_EARNED',
+  'INTEREST_CHARGED',
+  'LOAN_PAYMENTS',
+  'CREDIT_CARD_PAYMENT',
+  'INSURANCE',
+  'TAXES',
+  'UTILITIES',
+  'RENT_AND_UTILITIES',
+  'MORTGAGE_AND_RENT'
+];
+
+// Who filed a transaction under its category: the user, or one of the automatic steps below.
+// Reports treat the automatic ones as a guess, e.g. an auto-categorized transfer is still a transfer.
+const CATEGORIZATION_SOURCES = ['user', 'rule', 'plaid', 'classifier'];
+
+// Record where each categorization came from
+const ensureCategorizationSourceColumn = async () => {
+  try {
+    await pool.query(`
+      ALTER TABLE transaction_categorizations ADD COLUMN IF NOT EXISTS source VARCHAR(20)
+    `);
+
+    // Older rows don't say; the ones filed under their own Plaid category were auto-categorized
+    await pool.query(`
+      UPDATE transaction_categorizations tc
+      SET source = CASE
+        WHEN LOWER(tc.category) = LOWER(REPLACE(tc.plaid_data->'personal_finance_category'->>'primary', '_', ' '))
+          OR EXISTS (
+            SELECT 1 FROM categories c
+            WHERE c.id = tc.category_id AND c.plaid_primary = tc.plaid_data->'personal_finance_category'->>'primary'
+          )
+        THEN 'plaid' ELSE 'user' END
+      WHERE tc.source IS NULL
+    `);
+
+    await pool.query(`
+      ALTER TABLE transaction_categorizations ALTER COLUMN source SET DEFAULT 'user'
+    `);
+
+    console.log('✅ Categorization source column ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ transaction_categorizations exists but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with categorization source column:', error.message);
+    }
+  }
+};
+
+// Helper function to auto-categorize clear transactions and add manual review transactions.
+// The user's own rules are tried first, then the Plaid categories above, then
+// confident predictions learned from the user's past categorizations.
+const processTransactionsForCategorization = async (transactions, userId) => {
+  if (transactions.length === 0) return { autoCount: 0, manualCount: 0 };
+
+  let autoCategorizationPromises = [];
+  let manualReviewTransactions = [];
+  let budgetAlertEntries = [];
+  
+  // Get existing categorizations to avoid duplicates
+  const existingCategorizations = await pool.query(
+    'SELECT transaction_id FROM transaction_categorizations WHERE user_id = $1',
+    [userId]
+  );
+  const categorizedIds = new Set(existingCategorizations.rows.map(row => row.transaction_id));
+
+  // Get existing manual review transactions to avoid duplicates
+  const existingManualReview = await pool.query(
+    'SELECT transaction_id FROM manual_review_transactions WHERE user_id = $1',
+    [userId]
+  );
+  const manualReviewIds = new Set(existingManualReview.rows.map(row => row.transaction_id));
+
+  const rules = await loadRules(userId);
+  const model = await loadModel(userId);
+  const autoApplyConfidence = await loadAutoApplyConfidence(userId);
+
+  // Category rows looked up so far in this batch, by lower-cased name
+  const resolvedCategories = new Map();
+  const resolveCached = async (name) => {
+    const key = name.trim().toLowerCase();
+    if (!resolvedCategories.has(key)) {
+      resolvedCategories.set(key, await resolveCategory(userId, name));
+    }
+    return resolvedCategories.get(key);
+  };
+
+  for (const tx of transactions) {
+    // Skip if already categorized or already in manual review
+    if (categorizedIds.has(tx.transaction_id) || manualReviewIds.has(tx.transaction_id)) {
+      continue;
+    }
+
+    const plaidCategory = tx.personal_finance_category?.primary;
+    const rule = findMatchingRule(rules, tx);
+    let cleanCategory = null;
+    let source = null;
+
+    if (rule) {
+      cleanCategory = rule.category;
+      source = 'rule';
+    } else if (plaidCategory && AUTO_CATEGORIZE_PLAID_CATEGORIES.includes(plaidCategory)) {
+      // The user's category for this Plaid category, else its title-cased name
+      const mapped = await findPlaidCategory(userId, plaidCategory);
+      cleanCategory = mapped ? mapped.name : plaidCategory.replace(/_/g, ' ').toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+      source = 'plaid';
+    } else {
+      const prediction = predictCategory(model, tx);
+      if (shouldAutoApply(prediction, autoApplyConfidence)) {
+        cleanCategory = prediction.category;
+        source = 'classifier';
+      }
+    }
+    
+    if (cleanCategory) {
+      // Auto-categorize this transaction
+      const category = await resolveCached(cleanCategory);
+      autoCategorizationPromises.push(
+        pool.query(`
+          INSERT INTO transaction_categorizations (user_id, transaction_id, category, category_id, plaid_data, source) 
+          VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT (user_id, transaction_id) DO NOTHING
+        `, [userId, tx.transaction_id, category.name, category.id, JSON.stringify(tx), source])
+      );
+      budgetAlertEntries.push({ category: category.name, date: tx.date });
+    } else {
+      // Add to manual review
+      manualReviewTransactions.push(tx);
+    }
+  }
+
+  // Process auto-categorizations
+  if (autoCategorizationPromises.length > 0) {
+    await Promise.all(autoCategorizationPromises);
+    console.log(`✅ Auto-categorized ${autoCategorizationPromises.length} transactions`);
+  }
+
+  // Alerts must never hold up categorization
+  try {
+    await evaluateBudgetAlerts(userId, budgetAlertEntries);
+  } catch (error) {
+    console.error('❌ Error evaluating budget alerts:', error.message);
+  }
+
+  // Add manual review transactions to the table
+  if (manualReviewTransactions.length > 0) {
+    const insertPromises = manualReviewTransactions.map(tx =>
+      pool.query(`
+        INSERT INTO manual_review_transactions (user_id, transaction_id, transaction_data) 
+        VALUES ($1, $2, $3)
+        ON CONFLICT (user_id, transaction_id) DO NOTHING
+      `, [userId, tx.transaction_id, JSON.stringify(tx)])
+    );
+    
+    await Promise.all(insertPromises);
+    console.log(`✅ Added ${manualReviewTransactions.length} transactions for manual review`);
+  }
+
+  return { 
+    autoCount: autoCategorizationPromises.length, 
+    manualCount: manualReviewTransactions.length 
+  };
+};
+
+module.exports = {
+  AUTO_CATEGORIZE_PLAID_CATEGORIES,
+  CATEGORIZATION_SOURCES,
+  ensureCategorizationSourceColumn,
+  processTransactionsForCategorization
+};
\ No newline at end of file
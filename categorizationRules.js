@@ -0,0 +1,259 @@
+const pool = require('../config/database');
+
+// How many times a merchant has to be filed under the same category before we suggest a rule
+const SUGGESTION_MIN_OCCURRENCES = 3;
+
+// Description patterns are user supplied globs: * is any run of characters, ? is one character,
+// and the pattern may match anywhere in the name. Not regexes - those run in-process over every
+// synced transaction and one catastrophic pattern would stall the server for everybody.
+const MAX_PATTERN_LENGTH = 200;
+
+// Ensure the rules and rule suggestion tables exist
+const ensureCategorizationRuleTables = async () => {
+  try {
+    // A rule matches when every condition that is set matches; lowest priority wins
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS categorization_rules (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(255),
+        priority INTEGER NOT NULL DEFAULT 100,
+        merchant_name VARCHAR(255),
+        description_pattern VARCHAR(200),
+        amount_min DECIMAL(12,2),
+        amount_max DECIMAL(12,2),
+        account_id VARCHAR(255),
+        plaid_detailed_category VARCHAR(100),
+        category VARCHAR(100) NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_categorization_rules_user ON categorization_rules(user_id, priority)
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS categorization_rule_suggestions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        merchant_name VARCHAR(255) NOT NULL,
+        category VARCHAR(100) NOT NULL,
+        occurrences INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, merchant_name, category)
+      )
+    `);
+
+    console.log('✅ Categorization rule tables ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Categorization rule tables exist but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with categorization rule tables:', error.message);
+    }
+  }
+};
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Case-insensitive glob match anywhere in text. Greedy with backtracking to the last *,
+// so the worst case is pattern length times text length.
+const globMatches = (pattern, text) => {
+  const p = `*${pattern.toLowerCase()}*`;
+  const t = text.toLowerCase();
+  let pi = 0;
+  let ti = 0;
+  let starAt = -1;
+  let starMatch = 0;
+
+  while (ti < t.length) {
+    if (pi < p.length && (p[pi] === '?' || p[pi] === t[ti])) {
+      pi += 1;
+      ti += 1;
+    } else if (pi < p.length && p[pi] === '*') {
+      starAt = pi;
+      starMatch = ti;
+      pi += 1;
+    } else if (starAt !== -1) {
+      pi = starAt + 1;
+      starMatch += 1;
+      ti = starMatch;
+    } else {
+      return false;
+    }
+  }
+
+  while (pi < p.length && p[pi] === '*') {
+    pi += 1;
+  }
+  return pi === p.length;
+};
+
+// Check the fields of a rule from a request body, returns an error message or null
+const validateRule = (rule) => {
+  if (!rule.category || !String(rule.category).trim()) {
+    return 'A rule needs a target category';
+  }
+
+  const conditions = ['merchant_name', 'description_pattern', 'amount_min', 'amount_max', 'account_id', 'plaid_detailed_category'];
+  if (!conditions.some(field => rule[field] !== undefined && rule[field] !== null && rule[field] !== '')) {
+    return `A rule needs at least one condition: ${conditions.join(', ')}`;
+  }
+
+  if (rule.description_pattern) {
+    if (String(rule.description_pattern).length > MAX_PATTERN_LENGTH) {
+      return `Description pattern must be at most ${MAX_PATTERN_LENGTH} characters`;
+    }
+    if (!String(rule.description_pattern).replace(/[*?]/g, '').trim()) {
+      return 'Description pattern needs some text besides * and ?';
+    }
+  }
+
+  for (const field of ['amount_min', 'amount_max']) {
+    if (rule[field] !== undefined && rule[field] !== null && isNaN(parseFloat(rule[field]))) {
+      return `${field} must be a number`;
+    }
+  }
+
+  if (rule.amount_min != null && rule.amount_max != null && parseFloat(rule.amount_min) > parseFloat(rule.amount_max)) {
+    return 'amount_min cannot be greater than amount_max';
+  }
+
+  if (rule.priority !== undefined && !Number.isInteger(rule.priority)) {
+    return 'Priority must be a whole number';
+  }
+
+  return null;
+};
+
+// Does a Plaid transaction satisfy every condition the rule sets?
+const matchesRule = (rule, tx) => {
+  if (rule.merchant_name && !sameText(rule.merchant_name, tx.merchant_name || tx.name)) {
+    return false;
+  }
+
+  if (rule.description_pattern) {
+    if (!globMatches(rule.description_pattern, tx.name || '')) {
+      return false;
+    }
+  }
+
+  const amount = parseFloat(tx.amount);
+  if (rule.amount_min != null && !(amount >= parseFloat(rule.amount_min))) {
+    return false;
+  }
+  if (rule.amount_max != null && !(amount <= parseFloat(rule.amount_max))) {
+    return false;
+  }
+
+  if (rule.account_id && rule.account_id !== tx.account_id) {
+    return false;
+  }
+
+  if (rule.plaid_detailed_category && !sameText(rule.plaid_detailed_category, tx.personal_finance_category?.detailed)) {
+    return false;
+  }
+
+  return true;
+};
+
+// A user's enabled rules in the order they are tried
+const loadRules = async (userId) => {
+  const result = await pool.query(`
+    SELECT * FROM categorization_rules
+    WHERE user_id = $1 AND enabled = TRUE
+    ORDER BY priority ASC, id ASC
+  `, [userId]);
+
+  return result.rows;
+};
+
+// First rule, in priority order, that matches the transaction
+const findMatchingRule = (rules, tx) => rules.find(rule => matchesRule(rule, tx)) || null;
+
+// Run one rule against everything already stored, without changing anything
+const dryRunRule = async (userId, rule) => {
+  const result = await pool.query(`
+    SELECT t.plaid_data, tc.category AS current_category
+    FROM transactions t
+    LEFT JOIN transaction_categorizations tc
+      ON tc.user_id = t.user_id AND tc.transaction_id = t.transaction_id
+    WHERE t.user_id = $1
+    ORDER BY t.date DESC
+  `, [userId]);
+
+  const matches = result.rows
+    .filter(row => matchesRule(rule, row.plaid_data))
+    .map(row => ({
+      transaction_id: row.plaid_data.transaction_id,
+      date: row.plaid_data.date,
+      name: row.plaid_data.name,
+      merchant_name: row.plaid_data.merchant_name,
+      amount: row.plaid_data.amount,
+      current_category: row.current_category,
+      would_change: !sameText(row.current_category, rule.category)
+    }));
+
+  return {
+    scanned: result.rows.length,
+    matched: matches.length,
+    would_change: matches.filter(match => match.would_change).length,
+    matches
+  };
+};
+
+// After a manual categorization, suggest a rule once the user has filed the same merchant by hand
+// under the same category often enough and no rule covers it yet
+const suggestRuleFromHistory = async (userId, merchantName, category) => {
+  if (!merchantName || !category) return null;
+
+  const history = await pool.query(`
+    SELECT COUNT(*)::int AS occurrences
+    FROM transaction_categorizations
+    WHERE user_id = $1
+      AND source = 'user'
+      AND LOWER(TRIM(COALESCE(plaid_data->>'merchant_name', plaid_data->>'name'))) = LOWER(TRIM($2))
+      AND LOWER(TRIM(category)) = LOWER(TRIM($3))
+  `, [userId, merchantName, category]);
+
+  const occurrences = history.rows[0].occurrences;
+  if (occurrences < SUGGESTION_MIN_OCCURRENCES) return null;
+
+  const covered = await pool.query(
+    'SELECT 1 FROM categorization_rules WHERE user_id = $1 AND LOWER(TRIM(merchant_name)) = LOWER(TRIM($2))',
+    [userId, merchantName]
+  );
+  if (covered.rows.length > 0) return null;
+
+  // Dismissed suggestions stay dismissed, only the count is kept up to date
+  const result = await pool.query(`
+    INSERT INTO categorization_rule_suggestions (user_id, merchant_name, category, occurrences)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (user_id, merchant_name, category)
+    DO UPDATE SET occurrences = $4, updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [userId, merchantName, category, occurrences]);
+
+  const suggestion = result.rows[0];
+  if (suggestion.status === 'pending') {
+    console.log(`💡 Suggesting rule "${merchantName}" -> "${category}" for user ${userId}`);
+    return suggestion;
+  }
+
+  return null;
+};
+
+module.exports = {
+  ensureCategorizationRuleTables,
+  validateRule,
+  matchesRule,
+  loadRules,
+  findMatchingRule,
+  dryRunRule,
+  suggestRuleFromHistory
+};
\ No newline at end of file
@@ -0,0 +1,175 @@
+const pool = require('../config/database');
+
+// A per-user naive Bayes classifier over merchant tokens, an amount bucket and Plaid's
+// detailed category, trained on the user's own transaction_categorizations. Runs in-process.
+
+// Not enough history to say anything useful below these
+const MIN_TRAINING_ROWS = 10;
+const MIN_CATEGORIES = 2;
+
+// Auto-apply also needs this many past examples of the predicted category
+const MIN_EXAMPLES_TO_AUTO_APPLY = 3;
+
+// Confidence above which a suggestion is applied without review, until the user picks their own
+const DEFAULT_AUTO_APPLY_CONFIDENCE = 0.95;
+
+// Trained models, reused until the user's categorizations change
+const modelCache = new Map();
+
+// Ensure the per-user classifier settings table exists
+const ensureClassifierSettingsTable = async () => {
+  try {
+    // auto_apply_confidence NULL switches auto-apply off
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS categorization_settings (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        auto_apply_confidence DECIMAL(4,3) DEFAULT ${DEFAULT_AUTO_APPLY_CONFIDENCE},
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    console.log('✅ Categorization settings table ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Categorization settings table exists but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with categorization settings table:', error.message);
+    }
+  }
+};
+
+// Log-scale buckets so $4.50 and $5.10 look alike but $5 and $500 don't
+const amountBucket = (amount) => {
+  const value = parseFloat(amount);
+  if (isNaN(value)) return 'a:unknown';
+
+  const sign = value < 0 ? 'in' : 'out';
+  return `a:${sign}:${Math.floor(Math.log2(Math.abs(value) + 1))}`;
+};
+
+const extractFeatures = (tx) => {
+  const text = `${tx.merchant_name || ''} ${tx.name || ''}`.toLowerCase();
+  const tokens = new Set(
+    text.split(/[^a-z0-9]+/).filter(token => token.length >= 2 && !/^\d+$/.test(token))
+  );
+
+  const features = [...tokens].map(token => `w:${token}`);
+  features.push(amountBucket(tx.amount));
+  if (tx.personal_finance_category?.detailed) {
+    features.push(`d:${tx.personal_finance_category.detailed}`);
+  }
+
+  return features;
+};
+
+const trainModel = (rows) => {
+  const categories = {};
+  const vocabulary = new Set();
+
+  for (const row of rows) {
+    if (!row.plaid_data) continue;
+
+    const entry = categories[row.category] || (categories[row.category] = { examples: 0, featureTotal: 0, features: {} });
+    entry.examples += 1;
+
+    for (const feature of extractFeatures(row.plaid_data)) {
+      entry.features[feature] = (entry.features[feature] || 0) + 1;
+      entry.featureTotal += 1;
+      vocabulary.add(feature);
+    }
+  }
+
+  const totalExamples = Object.values(categories).reduce((sum, entry) => sum + entry.examples, 0);
+
+  return { categories, vocabularySize: vocabulary.size, totalExamples };
+};
+
+// Train (or reuse) the model for a user; null while there isn't enough history.
+// Only the user's own choices teach it - learning from rule, Plaid or its own auto-applied
+// guesses would make its mistakes reinforce themselves. Renaming, merging or deleting a
+// category changes the key too, so old names are not suggested.
+const loadModel = async (userId) => {
+  const signature = await pool.query(`
+    SELECT COUNT(*)::int AS rows, MAX(created_at) AS latest,
+      (SELECT COUNT(*) FROM categories WHERE user_id = $1) AS categories,
+      (SELECT MAX(updated_at) FROM categories WHERE user_id = $1) AS categories_updated
+    FROM transaction_categorizations WHERE user_id = $1 AND NOT is_split AND source = 'user'
+  `, [userId]);
+  const { rows, latest, categories, categories_updated: categoriesUpdated } = signature.rows[0];
+  const key = `${rows}:${latest}:${categories}:${categoriesUpdated}`;
+
+  const cached = modelCache.get(userId);
+  if (cached && cached.key === key) {
+    return cached.model;
+  }
+
+  let model = null;
+  if (rows >= MIN_TRAINING_ROWS) {
+    const result = await pool.query(
+      "SELECT category, plaid_data FROM transaction_categorizations WHERE user_id = $1 AND NOT is_split AND source = 'user'",
+      [userId]
+    );
+    model = trainModel(result.rows);
+
+    if (Object.keys(model.categories).length < MIN_CATEGORIES) {
+      model = null;
+    }
+  }
+
+  modelCache.set(userId, { key, model });
+  return model;
+};
+
+// Most likely category and its posterior probability, or null without a model
+const predictCategory = (model, tx) => {
+  if (!model) return null;
+
+  const features = extractFeatures(tx);
+  const scores = Object.entries(model.categories).map(([category, entry]) => {
+    let score = Math.log(entry.examples / model.totalExamples);
+    for (const feature of features) {
+      score += Math.log(((entry.features[feature] || 0) + 1) / (entry.featureTotal + model.vocabularySize));
+    }
+    return { category, score, examples: entry.examples };
+  });
+
+  // Normalize the log scores into probabilities
+  const best = scores.reduce((top, entry) => (entry.score > top.score ? entry : top));
+  const total = scores.reduce((sum, entry) => sum + Math.exp(entry.score - best.score), 0);
+
+  return {
+    category: best.category,
+    confidence: Math.round((1 / total) * 1000) / 1000,
+    examples: best.examples
+  };
+};
+
+const loadAutoApplyConfidence = async (userId) => {
+  const result = await pool.query(
+    'SELECT auto_apply_confidence FROM categorization_settings WHERE user_id = $1',
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    return DEFAULT_AUTO_APPLY_CONFIDENCE;
+  }
+
+  const value = result.rows[0].auto_apply_confidence;
+  return value === null ? null : parseFloat(value);
+};
+
+// Should this prediction skip the manual review queue?
+const shouldAutoApply = (prediction, threshold) =>
+  Boolean(prediction) &&
+  threshold !== null &&
+  prediction.confidence >= threshold &&
+  prediction.examples >= MIN_EXAMPLES_TO_AUTO_APPLY;
+
+module.exports = {
+  DEFAULT_AUTO_APPLY_CONFIDENCE,
+  ensureClassifierSettingsTable,
+  extractFeatures,
+  loadModel,
+  predictCategory,
+  loadAutoApplyConfidence,
+  shouldAutoApply
+};
\ No newline at end of file
@@ -0,0 +1,332 @@
+const pool = require('../config/database');
+const { SPLIT_CATEGORY } = require('./transactionSplits');
+
+// Starting categories for every user, grouped, with the Plaid primary category each one
+// takes over. Children of Plaid categories that were auto-categorized before categories existed
+// keep the title-cased spelling those transactions were stored under ("Transfer In"), so old
+// transactions and budgets land in the same category as new ones.
+const SEED_CATEGORIES = [
+  { name: 'Money In', color: '#2e7d32', icon: 'wallet', children: [
+    { name: 'Income', plaid_primary: 'INCOME' }
+  ] },
+  { name: 'Transfers', color: '#607d8b', icon: 'swap', children: [
+    { name: 'Transfer In', plaid_primary: 'TRANSFER_IN' },
+    { name: 'Transfer Out', plaid_primary: 'TRANSFER_OUT' }
+  ] },
+  { name: 'Bills & Utilities', color: '#1565c0', icon: 'receipt', children: [
+    { name: 'Rent And Utilities', plaid_primary: 'RENT_AND_UTILITIES' },
+    { name: 'Loan Payments', plaid_primary: 'LOAN_PAYMENTS' },
+    { name: 'Bank Fees', plaid_primary: 'BANK_FEES' }
+  ] },
+  { name: 'Food', color: '#ef6c00', icon: 'utensils', children: [
+    { name: 'Food & Drink', plaid_primary: 'FOOD_AND_DRINK' }
+  ] },
+  { name: 'Shopping', color: '#ad1457', icon: 'bag', children: [
+    { name: 'General Merchandise', plaid_primary: 'GENERAL_MERCHANDISE' },
+    { name: 'Home Improvement', plaid_primary: 'HOME_IMPROVEMENT' }
+  ] },
+  { name: 'Health & Personal', color: '#00838f', icon: 'heart', children: [
+    { name: 'Medical', plaid_primary: 'MEDICAL' },
+    { name: 'Personal Care', plaid_primary: 'PERSONAL_CARE' }
+  ] },
+  { name: 'Getting Around', color: '#6a1b9a', icon: 'car', children: [
+    { name: 'Transportation', plaid_primary: 'TRANSPORTATION' },
+    { name: 'Travel', plaid_primary: 'TRAVEL' }
+  ] },
+  { name: 'Fun', color: '#f9a825', icon: 'ticket', children: [
+    { name: 'Entertainment', plaid_primary: 'ENTERTAINMENT' }
+  ] },
+  { name: 'Services', color: '#4e342e', icon: 'briefcase', children: [
+    { name: 'General Services', plaid_primary: 'GENERAL_SERVICES' },
+    { name: 'Government & Non-Profit', plaid_primary: 'GOVERNMENT_AND_NON_PROFIT' }
+  ] }
+];
+
+// Every table that files something under a category, by name and by id
+const CATEGORY_REFERENCES = ['transaction_categorizations', 'transaction_splits', 'budgets', 'categorization_rules'];
+
+// Seed spellings users were given before the names above, and what each group became
+const RENAMED_SEED_CATEGORIES = {
+  'Paychecks & Income': 'Income',
+  'Transfers In': 'Transfer In',
+  'Transfers Out': 'Transfer Out',
+  'Rent & Utilities': 'Rent And Utilities'
+};
+const RENAMED_SEED_GROUPS = { Income: 'Money In' };
+
+// Give users seeded with the old spellings the new ones. Where the new name is already taken -
+// an adopted "Transfer In", or the old "Income" group - the two are merged into one category.
+const migrateSeedCategoryNames = async () => {
+  const outdated = await pool.query(
+    'SELECT DISTINCT user_id FROM categories WHERE plaid_primary IS NOT NULL AND name = ANY($1)',
+    [Object.keys(RENAMED_SEED_CATEGORIES)]
+  );
+
+  for (const { user_id: userId } of outdated.rows) {
+    const db = await pool.connect();
+    try {
+      await db.query('BEGIN');
+      await db.query("SELECT pg_advisory_xact_lock(hashtext('categories'), $1)", [userId]);
+
+      const children = await db.query(
+        'SELECT * FROM categories WHERE user_id = $1 AND plaid_primary IS NOT NULL AND name = ANY($2)',
+        [userId, Object.keys(RENAMED_SEED_CATEGORIES)]
+      );
+
+      for (const child of children.rows) {
+        const newName = RENAMED_SEED_CATEGORIES[child.name];
+        const taken = await db.query(
+          'SELECT * FROM categories WHERE user_id = $1 AND LOWER(name) = LOWER($2) AND id <> $3',
+          [userId, newName, child.id]
+        );
+        const existing = taken.rows[0];
+
+        if (!existing) {
+          const renamed = await db.query(
+            'UPDATE categories SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, name',
+            [newName, child.id]
+          );
+          await cascadeCategoryName(db, userId, renamed.rows[0]);
+          continue;
+        }
+
+        // The old group by that name hands its children to a group under its new name
+        const groupName = RENAMED_SEED_GROUPS[existing.name];
+        if (groupName) {
+          const group = await db.query(`
+            INSERT INTO categories (user_id, name, color, icon) VALUES ($1, $2, $3, $4)
+            ON CONFLICT (user_id, LOWER(name)) DO UPDATE SET name = categories.name
+            RETURNING id
+          `, [userId, groupName, existing.color, existing.icon]);
+          await db.query(
+            'UPDATE categories SET parent_id = $1 WHERE user_id = $2 AND parent_id = $3',
+            [group.rows[0].id, userId, existing.id]
+          );
+          child.parent_id = group.rows[0].id;
+        }
+
+        await mergeCategories(db, userId, child, existing);
+        await db.query(`
+          UPDATE categories
+          SET plaid_primary = $1, parent_id = $2, color = COALESCE(color, $3), icon = COALESCE(icon, $4),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = $5
+        `, [child.plaid_primary, child.parent_id, child.color, child.icon, existing.id]);
+      }
+
+      await db.query('COMMIT');
+      console.log(`🗂️ Renamed seed categories for user ${userId}`);
+    } catch (error) {
+      await db.query('ROLLBACK');
+      console.error(`❌ Error renaming seed categories for user ${userId}:`, error.message);
+    } finally {
+      db.release();
+    }
+  }
+};
+
+// Ensure the categories table exists and the tables using categories can point at it.
+// Safe to run more than once: each router calls it after creating its own tables.
+const ensureCategoriesTable = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        parent_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+        color VARCHAR(7),
+        icon VARCHAR(50),
+        plaid_primary VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Names are unique per user regardless of case, so "Groceries" and "groceries" are one category
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_user_name ON categories(user_id, LOWER(name))
+    `);
+
+    for (const table of CATEGORY_REFERENCES) {
+      try {
+        await pool.query(`
+          ALTER TABLE ${table}
+            ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL
+        `);
+      } catch (error) {
+        // Not created yet, the other router's startup will add the column
+        if (error.code !== '42P01') throw error;
+      }
+    }
+
+    await migrateSeedCategoryNames();
+
+    console.log('✅ Categories table ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Categories table exists but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with categories table:', error.message);
+    }
+  }
+};
+
+// Give a user the seed categories, then adopt every free-text category they already use.
+// Runs once per user; the advisory lock keeps two requests from seeding twice.
+const ensureUserCategories = async (userId) => {
+  const existing = await pool.query('SELECT 1 FROM categories WHERE user_id = $1 LIMIT 1', [userId]);
+  if (existing.rows.length > 0) return;
+
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+    await db.query("SELECT pg_advisory_xact_lock(hashtext('categories'), $1)", [userId]);
+
+    const seeded = await db.query('SELECT 1 FROM categories WHERE user_id = $1 LIMIT 1', [userId]);
+    if (seeded.rows.length === 0) {
+      for (const group of SEED_CATEGORIES) {
+        const parent = await db.query(`
+          INSERT INTO categories (user_id, name, color, icon) VALUES ($1, $2, $3, $4) RETURNING id
+        `, [userId, group.name, group.color, group.icon]);
+
+        for (const child of group.children) {
+          await db.query(`
+            INSERT INTO categories (user_id, name, parent_id, color, icon, plaid_primary)
+            VALUES ($1, $2, $3, $4, $5, $6)
+          `, [userId, child.name, parent.rows[0].id, group.color, group.icon, child.plaid_primary]);
+        }
+      }
+
+      for (const table of CATEGORY_REFERENCES) {
+        // Split parents carry a marker, not a category - their portions hold the real ones
+        const notSplit = table === 'transaction_categorizations' ? 'AND NOT t.is_split' : '';
+
+        // First spelling wins when the same name was typed with different case
+        await db.query(`
+          INSERT INTO categories (user_id, name)
+          SELECT DISTINCT ON (LOWER(TRIM(t.category))) $1::int, TRIM(t.category)
+          FROM ${table} t
+          WHERE t.user_id = $1 AND t.category IS NOT NULL AND TRIM(t.category) <> ''
+            AND LOWER(TRIM(t.category)) <> LOWER($2) ${notSplit}
+          ON CONFLICT (user_id, LOWER(name)) DO NOTHING
+        `, [userId, SPLIT_CATEGORY]);
+
+        await db.query(`
+          UPDATE ${table} t
+          SET category_id = c.id
+          FROM categories c
+          WHERE t.user_id = $1 AND c.user_id = $1 AND LOWER(c.name) = LOWER(TRIM(t.category)) ${notSplit}
+        `, [userId]);
+      }
+
+      console.log(`🗂️ Seeded categories for user ${userId}`);
+    }
+
+    await db.query('COMMIT');
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+};
+
+// Find a category by name (any case) or create it ungrouped. Returns { id, name } with the
+// stored spelling, which callers should save instead of what they were sent.
+const resolveCategory = async (userId, name, db = pool) => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    throw new Error('Category name is required');
+  }
+
+  await ensureUserCategories(userId);
+
+  const result = await db.query(`
+    INSERT INTO categories (user_id, name) VALUES ($1, $2)
+    ON CONFLICT (user_id, LOWER(name)) DO UPDATE SET name = categories.name
+    RETURNING id, name
+  `, [userId, trimmed]);
+
+  return result.rows[0];
+};
+
+// The category a Plaid primary category maps to, or null when the user has none for it
+const findPlaidCategory = async (userId, plaidPrimary) => {
+  await ensureUserCategories(userId);
+
+  const result = await pool.query(
+    'SELECT id, name FROM categories WHERE user_id = $1 AND plaid_primary = $2 ORDER BY id LIMIT 1',
+    [userId, plaidPrimary]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Point every reference of a category at its current name (after a rename)
+const cascadeCategoryName = async (db, userId, category) => {
+  for (const table of CATEGORY_REFERENCES) {
+    await db.query(
+      `UPDATE ${table} SET category = $1 WHERE user_id = $2 AND category_id = $3`,
+      [category.name, userId, category.id]
+    );
+  }
+};
+
+// Move everything filed under source to target and delete source. Budgets for the same
+// month are added together. Must run inside a transaction on db.
+const mergeCategories = async (db, userId, source, target) => {
+  const clashing = await db.query(`
+    SELECT s.id AS source_budget_id, t.id AS target_budget_id, s.amount, s.base_amount, s.carried_amount
+    FROM budgets s
+    JOIN budgets t ON t.user_id = s.user_id AND t.month = s.month AND t.category_id = $3
+    WHERE s.user_id = $1 AND s.category_id = $2
+  `, [userId, source.id, target.id]);
+
+  for (const clash of clashing.rows) {
+    await db.query(`
+      UPDATE budgets
+      SET amount = amount + $1,
+          base_amount = COALESCE(base_amount, amount) + COALESCE($2, $1),
+          carried_amount = COALESCE(carried_amount, 0) + COALESCE($3, 0),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+    `, [clash.amount, clash.base_amount, clash.carried_amount, clash.target_budget_id]);
+    await db.query('DELETE FROM budgets WHERE id = $1', [clash.source_budget_id]);
+  }
+
+  for (const table of CATEGORY_REFERENCES) {
+    await db.query(
+      `UPDATE ${table} SET category_id = $1, category = $2 WHERE user_id = $3 AND category_id = $4`,
+      [target.id, target.name, userId, source.id]
+    );
+  }
+
+  await db.query(
+    'UPDATE categories SET parent_id = $1, updated_at = CURRENT_TIMESTAMP WHERE user_id = $2 AND parent_id = $3',
+    [target.parent_id || target.id, userId, source.id]
+  );
+
+  // Plaid's category keeps landing where the user merged it, not in a recreated source
+  const sourcePlaid = await db.query('SELECT plaid_primary FROM categories WHERE id = $1 AND user_id = $2', [source.id, userId]);
+  await db.query('DELETE FROM categories WHERE id = $1 AND user_id = $2', [source.id, userId]);
+  if (sourcePlaid.rows[0]?.plaid_primary) {
+    await db.query(`
+      UPDATE categories SET plaid_primary = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND user_id = $3 AND plaid_primary IS NULL
+    `, [sourcePlaid.rows[0].plaid_primary, target.id, userId]);
+  }
+
+  return clashing.rows.length;
+};
+
+module.exports = {
+  SEED_CATEGORIES,
+  CATEGORY_REFERENCES,
+  ensureCategoriesTable,
+  ensureUserCategories,
+  resolveCategory,
+  findPlaidCategory,
+  cascadeCategoryName,
+  mergeCategories
+};
\ No newline at end of file
@@ -0,0 +1,298 @@
+const pool = require('../config/database');
+const { roundMoney } = require('./budgetActuals');
+
+const STRATEGIES = ['avalanche', 'snowball', 'custom'];
+
+// Stop simulating after 50 years: the budget doesn't keep up with the interest
+const MAX_MONTHS = 600;
+
+// When Plaid has no minimum payment: a share of the balance, but never less than a floor
+const FALLBACK_MINIMUM_RATIO = 0.02;
+const FALLBACK_MINIMUM_FLOOR = 25;
+
+// Ensure the saved payoff plan table exists
+const ensureDebtPlanTable = async () => {
+  try {
+    // One plan per user; monthly_budget becomes a line in the budget summary
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS debt_payoff_plans (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        monthly_budget DECIMAL(12,2) NOT NULL,
+        strategy VARCHAR(20) NOT NULL,
+        custom_order JSONB,
+        overrides JSONB,
+        summary JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    console.log('✅ Debt payoff plan table ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Debt payoff plan table exists but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with debt payoff plan table:', error.message);
+    }
+  }
+};
+
+// Validate a plan request body, returns an error message or null
+const validatePlanRequest = ({ monthly_budget, strategy, custom_order, overrides }) => {
+  const budget = parseFloat(monthly_budget);
+  if (!Number.isFinite(budget) || budget <= 0) {
+    return 'monthly_budget must be a positive amount';
+  }
+  if (strategy !== undefined && !STRATEGIES.includes(strategy)) {
+    return `strategy must be one of: ${STRATEGIES.join(', ')}`;
+  }
+  if (strategy === 'custom' && (!Array.isArray(custom_order) || custom_order.length === 0)) {
+    return 'custom_order must list liability ids for the custom strategy';
+  }
+  if (custom_order !== undefined && (!Array.isArray(custom_order) || !custom_order.every(Number.isInteger))) {
+    return 'custom_order must be an array of liability ids';
+  }
+  if (overrides !== undefined) {
+    if (!Array.isArray(overrides) || !overrides.every(override => Number.isInteger(override?.liability_id))) {
+      return 'overrides must be an array of objects with a liability_id';
+    }
+    for (const field of ['balance', 'apr', 'minimum_payment']) {
+      if (overrides.some(override => override[field] !== undefined && !(parseFloat(override[field]) >= 0))) {
+        return `override ${field} must be zero or more`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// The user's stored liabilities as debts to simulate, with per-debt overrides
+// ({ liability_id, balance, apr, minimum_payment, exclude }) applied on top.
+// Throws a 400 when an override or customOrder names a liability the user doesn't have.
+const loadDebts = async (userId, overrides = [], customOrder = []) => {
+  const result = await pool.query(`
+    SELECT l.id, l.kind, l.account_name, l.account_mask, l.current_balance, l.interest_rate,
+      l.minimum_payment_amount, b.institution_name
+    FROM liabilities l
+    JOIN user_banks b ON b.id = l.bank_id
+    WHERE l.user_id = $1
+    ORDER BY l.id
+  `, [userId]);
+
+  const ownIds = result.rows.map(row => row.id);
+  const unknownIds = [...overrides.map(override => override.liability_id), ...customOrder]
+    .filter(id => !ownIds.includes(id));
+  if (unknownIds.length > 0) {
+    const error = new Error(`Unknown liability ids: ${[...new Set(unknownIds)].join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const overrideById = {};
+  overrides.forEach(override => { overrideById[override.liability_id] = override; });
+
+  return result.rows
+    .filter(row => !overrideById[row.id]?.exclude)
+    .map(row => {
+      const override = overrideById[row.id] || {};
+      const balance = parseFloat(override.balance ?? row.current_balance ?? 0);
+      const storedMinimum = row.minimum_payment_amount !== null ? parseFloat(row.minimum_payment_amount) : null;
+
+      return {
+        liability_id: row.id,
+        name: `${row.account_name || row.kind}${row.account_mask ? ` ••${row.account_mask}` : ''}`,
+        bank_name: row.institution_name,
+        kind: row.kind,
+        balance: roundMoney(balance),
+        apr: parseFloat(override.apr ?? row.interest_rate ?? 0),
+        minimum_payment: roundMoney(parseFloat(override.minimum_payment ??
+          storedMinimum ?? Math.max(balance * FALLBACK_MINIMUM_RATIO, FALLBACK_MINIMUM_FLOOR)))
+      };
+    })
+    .filter(debt => debt.balance > 0);
+};
+
+// Order in which extra money goes to debts
+const priorityOrder = (debts, strategy, customOrder = []) => {
+  const sorted = [...debts];
+
+  if (strategy === 'avalanche') {
+    // Highest interest first, smaller balance breaks ties
+    sorted.sort((a, b) => b.apr - a.apr || a.balance - b.balance);
+  } else if (strategy === 'snowball') {
+    // Smallest balance first, higher interest breaks ties
+    sorted.sort((a, b) => a.balance - b.balance || b.apr - a.apr);
+  } else {
+    // Listed ids first, in the given order, then the rest by avalanche
+    const position = (debt) => {
+      const index = customOrder.indexOf(debt.liability_id);
+      return index === -1 ? Infinity : index;
+    };
+    sorted.sort((a, b) => position(a) - position(b) || b.apr - a.apr);
+  }
+
+  return sorted.map(debt => debt.liability_id);
+};
+
+const monthLabel = (start, offset) => {
+  const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + offset, 1));
+  return date.toISOString().slice(0, 7);
+};
+
+// Simulate paying a fixed monthly budget into the debts until all are paid: interest accrues
+// monthly at apr/12, every debt gets its minimum, everything left over goes to the first
+// unpaid debt in priority order, and a paid-off debt's minimum rolls into the extra.
+const simulatePayoff = (debts, { monthlyBudget, strategy, customOrder = [], startDate = new Date() }) => {
+  const minimumTotal = roundMoney(debts.reduce((sum, debt) => sum + debt.minimum_payment, 0));
+  if (monthlyBudget < minimumTotal) {
+    const error = new Error(`The monthly budget must cover the minimum payments of $${minimumTotal}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const order = priorityOrder(debts, strategy, customOrder);
+  const state = {};
+  debts.forEach(debt => {
+    state[debt.liability_id] = { ...debt, remaining: debt.balance, interest_paid: 0, total_paid: 0, payoff_month: null, schedule: [] };
+  });
+  const start = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + 1, 1));
+
+  let month = 0;
+  while (month < MAX_MONTHS && Object.values(state).some(debt => debt.remaining > 0)) {
+    const label = monthLabel(start, month);
+    let available = monthlyBudget;
+    const payments = {};
+
+    for (const debt of Object.values(state)) {
+      if (debt.remaining <= 0) continue;
+      const interest = roundMoney(debt.remaining * (debt.apr / 100 / 12));
+      debt.remaining = roundMoney(debt.remaining + interest);
+      debt.interest_paid = roundMoney(debt.interest_paid + interest);
+      payments[debt.liability_id] = { interest, payment: 0 };
+    }
+
+    // Minimums first
+    for (const debt of Object.values(state)) {
+      if (debt.remaining <= 0) continue;
+      const payment = Math.min(debt.minimum_payment, debt.remaining);
+      debt.remaining = roundMoney(debt.remaining - payment);
+      payments[debt.liability_id].payment += payment;
+      available = roundMoney(available - payment);
+    }
+
+    // Then the rest in priority order
+    for (const liabilityId of order) {
+      const debt = state[liabilityId];
+      if (available <= 0) break;
+      if (debt.remaining <= 0) continue;
+      const payment = Math.min(available, debt.remaining);
+      debt.remaining = roundMoney(debt.remaining - payment);
+      payments[liabilityId].payment += payment;
+      available = roundMoney(available - payment);
+    }
+
+    for (const [liabilityId, entry] of Object.entries(payments)) {
+      const debt = state[liabilityId];
+      debt.total_paid = roundMoney(debt.total_paid + entry.payment);
+      debt.schedule.push({ month: label, payment: roundMoney(entry.payment), interest: entry.interest, balance: debt.remaining });
+      if (debt.remaining <= 0 && !debt.payoff_month) {
+        debt.payoff_month = label;
+      }
+    }
+
+    month += 1;
+  }
+
+  const results = order.map(liabilityId => {
+    const debt = state[liabilityId];
+    return {
+      liability_id: debt.liability_id,
+      name: debt.name,
+      bank_name: debt.bank_name,
+      kind: debt.kind,
+      starting_balance: debt.balance,
+      apr: debt.apr,
+      minimum_payment: debt.minimum_payment,
+      payoff_month: debt.payoff_month,
+      interest_paid: debt.interest_paid,
+      total_paid: debt.total_paid,
+      schedule: debt.schedule
+    };
+  });
+
+  const paidOff = results.every(debt => debt.payoff_month);
+
+  return {
+    strategy,
+    monthly_budget: monthlyBudget,
+    minimum_payments: minimumTotal,
+    paid_off: paidOff,
+    months: paidOff ? month : null,
+    payoff_month: paidOff ? monthLabel(start, month - 1) : null,
+    total_interest: roundMoney(results.reduce((sum, debt) => sum + debt.interest_paid, 0)),
+    total_paid: roundMoney(results.reduce((sum, debt) => sum + debt.total_paid, 0)),
+    debts: results
+  };
+};
+
+// Run every strategy on the same debts, for a side by side comparison without the schedules
+const compareStrategies = (debts, { monthlyBudget, customOrder = [] }) => {
+  const strategies = customOrder.length > 0 ? STRATEGIES : STRATEGIES.filter(strategy => strategy !== 'custom');
+
+  return strategies.map(strategy => {
+    const result = simulatePayoff(debts, { monthlyBudget, strategy, customOrder });
+    return {
+      strategy,
+      paid_off: result.paid_off,
+      months: result.months,
+      payoff_month: result.payoff_month,
+      total_interest: result.total_interest,
+      total_paid: result.total_paid,
+      payoff_order: result.debts
+        .filter(debt => debt.payoff_month)
+        .sort((a, b) => a.payoff_month.localeCompare(b.payoff_month))
+        .map(debt => ({ liability_id: debt.liability_id, name: debt.name, payoff_month: debt.payoff_month }))
+    };
+  });
+};
+
+// Save the user's plan, replacing any previous one
+const saveDebtPlan = async (userId, { monthlyBudget, strategy, customOrder, overrides, result }) => {
+  const summary = {
+    months: result.months,
+    payoff_month: result.payoff_month,
+    total_interest: result.total_interest,
+    total_paid: result.total_paid
+  };
+
+  const saved = await pool.query(`
+    INSERT INTO debt_payoff_plans (user_id, monthly_budget, strategy, custom_order, overrides, summary)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (user_id) DO UPDATE SET
+      monthly_budget = EXCLUDED.monthly_budget,
+      strategy = EXCLUDED.strategy,
+      custom_order = EXCLUDED.custom_order,
+      overrides = EXCLUDED.overrides,
+      summary = EXCLUDED.summary,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [userId, monthlyBudget, strategy, JSON.stringify(customOrder), JSON.stringify(overrides), JSON.stringify(summary)]);
+
+  return saved.rows[0];
+};
+
+const loadDebtPlan = async (userId) => {
+  const result = await pool.query('SELECT * FROM debt_payoff_plans WHERE user_id = $1', [userId]);
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  STRATEGIES,
+  ensureDebtPlanTable,
+  validatePlanRequest,
+  loadDebts,
+  simulatePayoff,
+  compareStrategies,
+  saveDebtPlan,
+  loadDebtPlan
+};
\ No newline at end of file
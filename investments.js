@@ -0,0 +1,309 @@
+const pool = require('../config/database');
+const client = require('./plaidClient');
+const { getAccessToken } = require('./tokenVault');
+const { recordBankError, clearBankError } = require('./bankStatus');
+
+// Banks in these states can't be asked for investments
+const SKIPPED_BANK_STATUSES = ['duplicate_pending', 'login_required', 'revoked', 'error'];
+
+// Plaid errors meaning "this item has no investments data", not that something is broken
+const NO_INVESTMENTS_CODES = ['PRODUCTS_NOT_SUPPORTED', 'NO_INVESTMENT_ACCOUNTS', 'NO_INVESTMENT_AUTH_ACCOUNTS', 'PRODUCT_NOT_ENABLED', 'ADDITIONAL_CONSENT_REQUIRED'];
+
+const TRANSACTIONS_PAGE_SIZE = 500;
+
+// First sync goes back two years; later ones re-read a week before the newest stored
+// transaction, since Plaid can still amend recent ones
+const INITIAL_HISTORY_DAYS = 730;
+const OVERLAP_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// Ensure the securities, holdings snapshot and investment transaction tables exist
+const ensureInvestmentTables = async () => {
+  try {
+    // Plaid's security_id is stable across items, so securities are shared between users
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS securities (
+        security_id VARCHAR(255) PRIMARY KEY,
+        ticker_symbol VARCHAR(30),
+        name VARCHAR(255),
+        type VARCHAR(50),
+        sector VARCHAR(100),
+        industry VARCHAR(100),
+        iso_currency_code VARCHAR(3),
+        is_cash_equivalent BOOLEAN NOT NULL DEFAULT FALSE,
+        close_price DECIMAL(18,6),
+        close_price_as_of DATE,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Every holding of a bank as of a day; a bank's snapshot for a day is always complete
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS holdings_snapshots (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        bank_id INTEGER REFERENCES user_banks(id) ON DELETE CASCADE,
+        account_id VARCHAR(255) NOT NULL,
+        account_name VARCHAR(255),
+        account_subtype VARCHAR(50),
+        security_id VARCHAR(255) NOT NULL,
+        snapshot_date DATE NOT NULL,
+        quantity DECIMAL(20,8) NOT NULL,
+        institution_price DECIMAL(18,6),
+        institution_value DECIMAL(14,2),
+        cost_basis DECIMAL(14,2),
+        iso_currency_code VARCHAR(3),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(bank_id, account_id, security_id, snapshot_date)
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_holdings_snapshots_user_date ON holdings_snapshots(user_id, snapshot_date)
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS investment_transactions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        bank_id INTEGER REFERENCES user_banks(id) ON DELETE CASCADE,
+        investment_transaction_id VARCHAR(255) UNIQUE NOT NULL,
+        account_id VARCHAR(255) NOT NULL,
+        security_id VARCHAR(255),
+        date DATE NOT NULL,
+        name TEXT,
+        type VARCHAR(30) NOT NULL,
+        subtype VARCHAR(50),
+        quantity DECIMAL(20,8),
+        price DECIMAL(18,6),
+        amount DECIMAL(14,2) NOT NULL,
+        fees DECIMAL(14,2),
+        iso_currency_code VARCHAR(3),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_investment_transactions_user_date ON investment_transactions(user_id, date)
+    `);
+
+    console.log('✅ Investment tables ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Investment tables exist but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with investment tables:', error.message);
+    }
+  }
+};
+
+const saveSecurities = async (securities = []) => {
+  for (const security of securities) {
+    await pool.query(`
+      INSERT INTO securities (
+        security_id, ticker_symbol, name, type, sector, industry, iso_currency_code,
+        is_cash_equivalent, close_price, close_price_as_of
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (security_id)
+      DO UPDATE SET ticker_symbol = $2, name = $3, type = $4, sector = COALESCE($5, securities.sector),
+        industry = COALESCE($6, securities.industry), iso_currency_code = $7, is_cash_equivalent = $8,
+        close_price = $9, close_price_as_of = $10, updated_at = CURRENT_TIMESTAMP
+    `, [
+      security.security_id, security.ticker_symbol || null, security.name || null, security.type || null,
+      security.sector || null, security.industry || null, security.iso_currency_code || null,
+      Boolean(security.is_cash_equivalent), security.close_price ?? null, security.close_price_as_of || null
+    ]);
+  }
+};
+
+// Store an investmentsHoldingsGet response as the bank's holdings on snapshotDate, replacing
+// whatever was stored for that day
+const saveHoldingsSnapshot = async (bank, { holdings = [], securities = [], accounts = [] }, snapshotDate = formatDate(new Date())) => {
+  await saveSecurities(securities);
+
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+    await db.query('DELETE FROM holdings_snapshots WHERE bank_id = $1 AND snapshot_date = $2', [bank.id, snapshotDate]);
+
+    for (const holding of holdings) {
+      const account = accounts.find(entry => entry.account_id === holding.account_id) || {};
+      await db.query(`
+        INSERT INTO holdings_snapshots (
+          user_id, bank_id, account_id, account_name, account_subtype, security_id, snapshot_date,
+          quantity, institution_price, institution_value, cost_basis, iso_currency_code
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      `, [
+        bank.user_id, bank.id, holding.account_id, account.name || null, account.subtype || null,
+        holding.security_id, snapshotDate, holding.quantity, holding.institution_price ?? null,
+        holding.institution_value ?? null, holding.cost_basis ?? null, holding.iso_currency_code || null
+      ]);
+    }
+
+    await db.query('COMMIT');
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+
+  return holdings.length;
+};
+
+// Pull new and amended investment transactions for one bank
+const syncInvestmentTransactions = async (bank) => {
+  const latest = await pool.query('SELECT MAX(date) AS latest FROM investment_transactions WHERE bank_id = $1', [bank.id]);
+  const endDate = formatDate(new Date());
+  const startDate = latest.rows[0].latest
+    ? formatDate(new Date(new Date(latest.rows[0].latest).getTime() - OVERLAP_DAYS * DAY_MS))
+    : formatDate(new Date(Date.now() - INITIAL_HISTORY_DAYS * DAY_MS));
+
+  let offset = 0;
+  let total = 0;
+
+  do {
+    const response = await client.investmentsTransactionsGet({
+      access_token: getAccessToken(bank),
+      start_date: startDate,
+      end_date: endDate,
+      options: { count: TRANSACTIONS_PAGE_SIZE, offset }
+    });
+
+    await saveSecurities(response.data.securities);
+
+    for (const tx of response.data.investment_transactions) {
+      await pool.query(`
+        INSERT INTO investment_transactions (
+          user_id, bank_id, investment_transaction_id, account_id, security_id, date, name, type, subtype,
+          quantity, price, amount, fees, iso_currency_code
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        ON CONFLICT (investment_transaction_id)
+        DO UPDATE SET date = $6, name = $7, type = $8, subtype = $9, quantity = $10, price = $11,
+          amount = $12, fees = $13, iso_currency_code = $14
+      `, [
+        bank.user_id, bank.id, tx.investment_transaction_id, tx.account_id, tx.security_id || null, tx.date,
+        tx.name || null, tx.type, tx.subtype || null, tx.quantity ?? null, tx.price ?? null, tx.amount,
+        tx.fees ?? null, tx.iso_currency_code || null
+      ]);
+    }
+
+    total = response.data.total_investment_transactions;
+    offset += response.data.investment_transactions.length;
+    if (response.data.investment_transactions.length === 0) break;
+  } while (offset < total);
+
+  return offset;
+};
+
+// Snapshot today's holdings and sync investment transactions for one bank
+const refreshBankInvestments = async (bank) => {
+  let holdingsResponse;
+  try {
+    holdingsResponse = await client.investmentsHoldingsGet({ access_token: getAccessToken(bank) });
+  } catch (error) {
+    if (NO_INVESTMENTS_CODES.includes(error.response?.data?.error_code)) {
+      console.log(`ℹ️ Bank ${bank.id} has no investments data (${error.response.data.error_code})`);
+      return { holdings: 0, transactions: 0 };
+    }
+    throw error;
+  }
+
+  const holdings = await saveHoldingsSnapshot(bank, holdingsResponse.data);
+  const transactions = await syncInvestmentTransactions(bank);
+
+  await clearBankError(bank);
+
+  return { holdings, transactions };
+};
+
+// Refresh every connected bank of a user; failures are recorded on the bank and its last
+// snapshot keeps being used
+const refreshInvestments = async (userId) => {
+  const banks = await pool.query(`
+    SELECT * FROM user_banks
+    WHERE user_id = $1 AND (status IS NULL OR status <> ALL($2))
+  `, [userId, SKIPPED_BANK_STATUSES]);
+
+  for (const bank of banks.rows) {
+    try {
+      await refreshBankInvestments(bank);
+    } catch (error) {
+      console.error(`❌ Error fetching investments for bank ${bank.id}:`, {
+        message: error.message,
+        plaid_error: error.response?.data || 'No Plaid error details'
+      });
+      await recordBankError(bank, error);
+    }
+  }
+};
+
+// Every holding in each bank's most recent snapshot, with its security and bank
+const loadLatestHoldings = async (userId) => {
+  const result = await pool.query(`
+    SELECT h.bank_id, b.institution_name, h.account_id, h.account_name, h.account_subtype, h.security_id,
+      to_char(h.snapshot_date, 'YYYY-MM-DD') AS snapshot_date, h.quantity, h.institution_price,
+      h.institution_value, h.cost_basis, COALESCE(h.iso_currency_code, s.iso_currency_code) AS iso_currency_code,
+      s.ticker_symbol, s.name AS security_name, s.type AS security_type, s.sector, s.industry,
+      COALESCE(s.is_cash_equivalent, FALSE) AS is_cash_equivalent
+    FROM holdings_snapshots h
+    JOIN user_banks b ON b.id = h.bank_id
+    LEFT JOIN securities s ON s.security_id = h.security_id
+    WHERE h.user_id = $1 AND h.snapshot_date = (
+      SELECT MAX(p.snapshot_date) FROM holdings_snapshots p WHERE p.bank_id = h.bank_id
+    )
+    ORDER BY b.institution_name, h.account_name, s.ticker_symbol
+  `, [userId]);
+
+  return result.rows;
+};
+
+// Total value of each bank's holdings per snapshot day between from and to, plus each bank's
+// last snapshot before from so the series can start with every bank in it.
+// active is false for banks that can no longer be snapshotted, so their holdings leave the series.
+const loadHoldingsHistory = async (userId, { from, to }) => {
+  const result = await pool.query(`
+    SELECT h.bank_id, to_char(h.snapshot_date, 'YYYY-MM-DD') AS snapshot_date,
+      SUM(COALESCE(h.institution_value, h.quantity * h.institution_price, 0)) AS value,
+      (b.status IS NULL OR b.status <> ALL($4)) AS active
+    FROM holdings_snapshots h
+    JOIN user_banks b ON b.id = h.bank_id
+    WHERE h.user_id = $1 AND h.snapshot_date <= $3::date
+      AND (h.snapshot_date >= $2::date OR h.snapshot_date = (
+        SELECT MAX(p.snapshot_date) FROM holdings_snapshots p
+        WHERE p.bank_id = h.bank_id AND p.snapshot_date < $2::date
+      ))
+    GROUP BY h.bank_id, h.snapshot_date, b.status
+    ORDER BY h.snapshot_date ASC
+  `, [userId, from, to, SKIPPED_BANK_STATUSES]);
+
+  return result.rows.map(row => ({ ...row, value: parseFloat(row.value) }));
+};
+
+const loadInvestmentTransactions = async (userId, { from, to }) => {
+  const result = await pool.query(`
+    SELECT bank_id, account_id, security_id, to_char(date, 'YYYY-MM-DD') AS date, name, type, subtype,
+      quantity, price, amount, fees, iso_currency_code
+    FROM investment_transactions
+    WHERE user_id = $1 AND date >= $2::date AND date <= $3::date
+    ORDER BY date ASC, id ASC
+  `, [userId, from, to]);
+
+  return result.rows;
+};
+
+module.exports = {
+  ensureInvestmentTables,
+  saveHoldingsSnapshot,
+  refreshBankInvestments,
+  refreshInvestments,
+  loadLatestHoldings,
+  loadHoldingsHistory,
+  loadInvestmentTransactions
+};
\ No newline at end of file
@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const client = require('./plaidClient');
+const { getAccessToken } = require('./tokenVault');
+const { recordBankError, clearBankError } = require('./bankStatus');
+
+// Banks in these states can't be asked for liabilities
+const SKIPPED_BANK_STATUSES = ['duplicate_pending', 'login_required', 'revoked', 'error'];
+
+// Plaid errors meaning "this item has no liabilities data", not that something is broken
+const NO_LIABILITIES_CODES = ['PRODUCTS_NOT_SUPPORTED', 'NO_LIABILITY_ACCOUNTS', 'ADDITIONAL_CONSENT_REQUIRED', 'PRODUCT_NOT_ENABLED'];
+
+const LIABILITY_KINDS = ['credit', 'mortgage', 'student'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ensure the stored liabilities and calendar feed tables exist
+const ensureLiabilityTables = async () => {
+  try {
+    // One row per liability account with the fields the payment calendar needs; data keeps Plaid's full object
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS liabilities (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        bank_id INTEGER REFERENCES user_banks(id) ON DELETE CASCADE,
+        account_id VARCHAR(255) NOT NULL,
+        kind VARCHAR(20) NOT NULL,
+        account_name VARCHAR(255),
+        account_mask VARCHAR(10),
+        current_balance DECIMAL(14,2),
+        minimum_payment_amount DECIMAL(14,2),
+        next_payment_due_date DATE,
+        last_statement_issue_date DATE,
+        last_statement_balance DECIMAL(14,2),
+        interest_rate DECIMAL(7,3),
+        is_overdue BOOLEAN NOT NULL DEFAULT FALSE,
+        data JSONB,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(bank_id, account_id)
+      )
+    `);
+
+    // Secret URLs that calendar apps can subscribe to without logging in
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS calendar_feeds (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_fetched_at TIMESTAMP
+      )
+    `);
+
+    console.log('✅ Liability tables ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Liability tables exist but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with liability tables:', error.message);
+    }
+  }
+};
+
+// The columns we keep for each kind of Plaid liability
+const liabilityFields = (kind, liability) => {
+  switch (kind) {
+    case 'credit': {
+      const purchaseApr = (liability.aprs || []).find(apr => apr.apr_type === 'purchase_apr') || (liability.aprs || [])[0];
+      return {
+        minimum_payment_amount: liability.minimum_payment_amount,
+        next_payment_due_date: liability.next_payment_due_date,
+        last_statement_issue_date: liability.last_statement_issue_date,
+        last_statement_balance: liability.last_statement_balance,
+        interest_rate: purchaseApr ? purchaseApr.apr_percentage : null,
+        is_overdue: liability.is_overdue
+      };
+    }
+    case 'mortgage':
+      return {
+        minimum_payment_amount: liability.next_monthly_payment,
+        next_payment_due_date: liability.next_payment_due_date,
+        last_statement_issue_date: null,
+        last_statement_balance: null,
+        interest_rate: liability.interest_rate?.percentage,
+        is_overdue: (liability.past_due_amount || 0) > 0
+      };
+    case 'student':
+      return {
+        minimum_payment_amount: liability.minimum_payment_amount,
+        next_payment_due_date: liability.next_payment_due_date,
+        last_statement_issue_date: liability.last_statement_issue_date,
+        last_statement_balance: liability.last_statement_balance,
+        interest_rate: liability.interest_rate_percentage,
+        is_overdue: liability.is_overdue
+      };
+    default:
+      return {};
+  }
+};
+
+// Fetch one bank's liabilities from Plaid and replace what is stored for it
+const refreshBankLiabilities = async (bank) => {
+  let response;
+  try {
+    response = await client.liabilitiesGet({ access_token: getAccessToken(bank) });
+  } catch (error) {
+    if (NO_LIABILITIES_CODES.includes(error.response?.data?.error_code)) {
+      console.log(`ℹ️ Bank ${bank.id} has no liabilities data (${error.response.data.error_code})`);
+      // The item's liabilities are gone (a card paid off and closed), so are the ones we stored
+      if (error.response.data.error_code === 'NO_LIABILITY_ACCOUNTS') {
+        await pool.query('DELETE FROM liabilities WHERE bank_id = $1', [bank.id]);
+      }
+      return 0;
+    }
+    throw error;
+  }
+
+  const accounts = response.data.accounts || [];
+  const seen = [];
+
+  for (const kind of LIABILITY_KINDS) {
+    for (const liability of response.data.liabilities[kind] || []) {
+      const account = accounts.find(entry => entry.account_id === liability.account_id) || {};
+      const fields = liabilityFields(kind, liability);
+      seen.push(liability.account_id);
+
+      await pool.query(`
+        INSERT INTO liabilities (
+          user_id, bank_id, account_id, kind, account_name, account_mask, current_balance,
+          minimum_payment_amount, next_payment_due_date, last_statement_issue_date, last_statement_balance,
+          interest_rate, is_overdue, data
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        ON CONFLICT (bank_id, account_id)
+        DO UPDATE SET kind = $4, account_name = $5, account_mask = $6, current_balance = $7,
+          minimum_payment_amount = $8, next_payment_due_date = $9, last_statement_issue_date = $10,
+          last_statement_balance = $11, interest_rate = $12, is_overdue = $13, data = $14,
+          updated_at = CURRENT_TIMESTAMP
+      `, [
+        bank.user_id, bank.id, liability.account_id, kind, account.name || null, account.mask || null,
+        account.balances?.current ?? null, fields.minimum_payment_amount ?? null, fields.next_payment_due_date || null,
+        fields.last_statement_issue_date || null, fields.last_statement_balance ?? null, fields.interest_rate ?? null,
+        Boolean(fields.is_overdue), JSON.stringify(liability)
+      ]);
+    }
+  }
+
+  // Accounts that are no longer liabilities (closed, paid off, unlinked)
+  await pool.query(
+    'DELETE FROM liabilities WHERE bank_id = $1 AND NOT (account_id = ANY($2))',
+    [bank.id, seen]
+  );
+
+  await clearBankError(bank);
+
+  return seen.length;
+};
+
+// Refresh every connected bank of a user; failures are recorded on the bank and the stored
+// copy of its liabilities is kept
+const refreshLiabilities = async (userId) => {
+  const banks = await pool.query(`
+    SELECT * FROM user_banks
+    WHERE user_id = $1 AND (status IS NULL OR status <> ALL($2))
+  `, [userId, SKIPPED_BANK_STATUSES]);
+
+  for (const bank of banks.rows) {
+    try {
+      await refreshBankLiabilities(bank);
+    } catch (error) {
+      console.error(`❌ Error fetching liabilities for bank ${bank.id}:`, {
+        message: error.message,
+        plaid_error: error.response?.data || 'No Plaid error details'
+      });
+      await recordBankError(bank, error);
+    }
+  }
+};
+
+// Stored liabilities grouped the way Plaid returns them, with bank and account details added
+const loadLiabilities = async (userId) => {
+  const result = await pool.query(`
+    SELECT l.*, b.institution_name,
+      to_char(l.next_payment_due_date, 'YYYY-MM-DD') AS next_payment_due_date,
+      to_char(l.last_statement_issue_date, 'YYYY-MM-DD') AS last_statement_issue_date
+    FROM liabilities l
+    JOIN user_banks b ON b.id = l.bank_id
+    WHERE l.user_id = $1
+    ORDER BY l.next_payment_due_date ASC NULLS LAST
+  `, [userId]);
+
+  const grouped = { credit: [], mortgage: [], student: [] };
+  for (const row of result.rows) {
+    grouped[row.kind].push({
+      ...row.data,
+      bank_name: row.institution_name,
+      bank_id: row.bank_id,
+      account_name: row.account_name,
+      account_mask: row.account_mask,
+      current_balance: row.current_balance,
+      updated_at: row.updated_at
+    });
+  }
+
+  return { grouped, rows: result.rows };
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const addMonth = (dateString) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  const day = date.getUTCDate();
+  const next = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+  const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(day, lastDay));
+  return formatDate(next);
+};
+
+const describeAccount = (row) =>
+  `${row.account_name || row.kind}${row.account_mask ? ` ••${row.account_mask}` : ''}${row.institution_name ? ` (${row.institution_name})` : ''}`;
+
+// Upcoming minimum payments and statement dates over the next `days` days, plus anything overdue.
+// Takes rows from loadLiabilities, whose dates are YYYY-MM-DD strings.
+// Statement dates are estimated as a month after the last one, Plaid doesn't report the next.
+const buildPaymentCalendar = (rows, { days = 60, today = new Date() } = {}) => {
+  const start = formatDate(today);
+  const end = formatDate(new Date(today.getTime() + days * DAY_MS));
+  const events = [];
+
+  for (const row of rows) {
+    const dueDate = row.next_payment_due_date;
+    const overdue = row.is_overdue || (dueDate && dueDate < start);
+
+    if (dueDate && (overdue || dueDate <= end)) {
+      events.push({
+        type: 'payment_due',
+        date: dueDate,
+        liability_id: row.id,
+        kind: row.kind,
+        bank_id: row.bank_id,
+        account: describeAccount(row),
+        amount: row.minimum_payment_amount !== null ? parseFloat(row.minimum_payment_amount) : null,
+        overdue: Boolean(overdue)
+      });
+    }
+
+    if (row.last_statement_issue_date) {
+      let statementDate = addMonth(row.last_statement_issue_date);
+      while (statementDate < start) {
+        statementDate = addMonth(statementDate);
+      }
+      if (statementDate <= end) {
+        events.push({
+          type: 'statement',
+          date: statementDate,
+          liability_id: row.id,
+          kind: row.kind,
+          bank_id: row.bank_id,
+          account: describeAccount(row),
+          amount: null,
+          overdue: false,
+          estimated: true
+        });
+      }
+    }
+  }
+
+  return events.sort((a, b) => a.date.localeCompare(b.date) || a.type.localeCompare(b.type));
+};
+
+// RFC 5545 text escaping and 75-octet line folding
+const escapeText = (value) => String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// Calendar events as an all-day iCalendar feed
+const toICalendar = (events, now = new Date()) => {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Budget App//Liabilities//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Debt payments'
+  ];
+
+  for (const event of events) {
+    const day = event.date.replace(/-/g, '');
+    const next = formatDate(new Date(new Date(`${event.date}T00:00:00Z`).getTime() + DAY_MS)).replace(/-/g, '');
+    const summary = event.type === 'payment_due'
+      ? `${event.overdue ? 'OVERDUE: ' : ''}Payment due - ${event.account}${event.amount !== null ? ` ($${event.amount.toFixed(2)} minimum)` : ''}`
+      : `Statement (estimated) - ${event.account}`;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.type}-${event.liability_id}-${day}@budget-app`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${day}`,
+      `DTEND;VALUE=DATE:${next}`,
+      `SUMMARY:${escapeText(summary)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue (or replace) the user's calendar feed token; only the hash is stored
+const createCalendarFeedToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await pool.query(`
+    INSERT INTO calendar_feeds (user_id, token_hash)
+    VALUES ($1, $2)
+    ON CONFLICT (user_id)
+    DO UPDATE SET token_hash = $2, created_at = CURRENT_TIMESTAMP, last_fetched_at = NULL
+  `, [userId, hashFeedToken(token)]);
+
+  return token;
+};
+
+// The user a feed token belongs to, or null
+const findCalendarFeedUser = async (token) => {
+  const result = await pool.query(`
+    UPDATE calendar_feeds SET last_fetched_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1
+    RETURNING user_id
+  `, [hashFeedToken(String(token || ''))]);
+
+  return result.rows[0] ? result.rows[0].user_id : null;
+};
+
+module.exports = {
+  ensureLiabilityTables,
+  refreshBankLiabilities,
+  refreshLiabilities,
+  loadLiabilities,
+  buildPaymentCalendar,
+  toICalendar,
+  createCalendarFeedToken,
+  findCalendarFeedUser
+};
\ No newline at end of file
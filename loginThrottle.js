@@ -0,0 +1,170 @@
+const pool = require('../config/database');
+
+// Failures allowed before backoff kicks in, then the wait doubles per failure
+const FREE_FAILURES = parseInt(process.env.LOGIN_FREE_FAILURES, 10) || 3;
+const BACKOFF_BASE_SECONDS = 2;
+const MAX_BACKOFF_SECONDS = 5 * 60;
+
+// After this many failures in a row the username is locked for LOCKOUT_SECONDS
+const LOCKOUT_FAILURES = parseInt(process.env.LOGIN_LOCKOUT_FAILURES, 10) || 10;
+const LOCKOUT_SECONDS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60;
+
+// Failures older than this no longer count against a username
+const FAILURE_WINDOW_SECONDS = 60 * 60;
+
+// One IP guessing across many usernames
+const IP_WINDOW_SECONDS = 15 * 60;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 30;
+
+// Plain per-IP limits for endpoints that do not take a password
+const IP_RATE_LIMITS = {
+  register: { max: parseInt(process.env.REGISTER_MAX_PER_IP, 10) || 5, windowSeconds: 60 * 60 },
+  reset: { max: parseInt(process.env.RESET_MAX_PER_IP, 10) || 5, windowSeconds: 60 * 60 },
+  verify: { max: parseInt(process.env.VERIFY_MAX_PER_IP, 10) || 5, windowSeconds: 60 * 60 }
+};
+
+// Ensure login_attempts table exists - it is both the throttle state and the sign-in audit log
+const ensureLoginAttemptsTable = async () => {
+  try {
+    // outcome: success, failure, or challenge (password ok, waiting for the second factor)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        username VARCHAR(255),
+        ip_address VARCHAR(64),
+        user_agent TEXT,
+        attempt_type VARCHAR(20) NOT NULL DEFAULT 'login',
+        outcome VARCHAR(20) NOT NULL,
+        reason VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts(username, created_at DESC)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at DESC)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_user_id ON login_attempts(user_id, created_at DESC)
+    `);
+
+    console.log('✅ Login attempts table ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Login attempts table exists but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with login attempts table:', error.message);
+    }
+  }
+};
+
+const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+
+// Seconds to wait after `failures` consecutive failures
+const backoffSeconds = (failures) => {
+  if (failures >= LOCKOUT_FAILURES) {
+    return LOCKOUT_SECONDS;
+  }
+  if (failures < FREE_FAILURES) {
+    return 0;
+  }
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** (failures - FREE_FAILURES), MAX_BACKOFF_SECONDS);
+};
+
+const secondsUntil = (timestamp, delaySeconds) =>
+  Math.ceil((new Date(timestamp).getTime() + delaySeconds * 1000 - Date.now()) / 1000);
+
+// Returns { allowed, retryAfter } for a login (or 2FA) attempt by username from ip
+const checkLoginThrottle = async ({ username, ip }) => {
+  const usernameResult = await pool.query(`
+    SELECT COUNT(*) AS failures, MAX(created_at) AS last_failure
+    FROM login_attempts
+    WHERE username = $1
+      AND attempt_type IN ('login', '2fa')
+      AND outcome = 'failure'
+      AND created_at > CURRENT_TIMESTAMP - make_interval(secs => $2)
+      AND created_at > COALESCE((
+        SELECT MAX(created_at) FROM login_attempts
+        WHERE username = $1 AND attempt_type IN ('login', '2fa') AND outcome = 'success'
+      ), 'epoch')
+  `, [normalizeUsername(username), FAILURE_WINDOW_SECONDS]);
+
+  const failures = parseInt(usernameResult.rows[0].failures, 10);
+  const usernameWait = failures > 0 ? secondsUntil(usernameResult.rows[0].last_failure, backoffSeconds(failures)) : 0;
+
+  const ipResult = await pool.query(`
+    SELECT COUNT(*) AS failures, MIN(created_at) AS first_failure
+    FROM login_attempts
+    WHERE ip_address = $1
+      AND attempt_type IN ('login', '2fa')
+      AND outcome = 'failure'
+      AND created_at > CURRENT_TIMESTAMP - make_interval(secs => $2)
+  `, [ip, IP_WINDOW_SECONDS]);
+
+  const ipFailures = parseInt(ipResult.rows[0].failures, 10);
+  const ipWait = ipFailures >= IP_MAX_FAILURES ? secondsUntil(ipResult.rows[0].first_failure, IP_WINDOW_SECONDS) : 0;
+
+  const retryAfter = Math.max(usernameWait, ipWait, 0);
+
+  return { allowed: retryAfter === 0, retryAfter, locked: failures >= LOCKOUT_FAILURES };
+};
+
+// Returns { allowed, retryAfter } for a registration, password reset or verification resend from ip
+const checkIpThrottle = async ({ ip, attemptType }) => {
+  const { max, windowSeconds } = IP_RATE_LIMITS[attemptType];
+  const result = await pool.query(`
+    SELECT COUNT(*) AS attempts, MIN(created_at) AS first_attempt
+    FROM login_attempts
+    WHERE ip_address = $1
+      AND attempt_type = $2
+      AND created_at > CURRENT_TIMESTAMP - make_interval(secs => $3)
+  `, [ip, attemptType, windowSeconds]);
+
+  const attempts = parseInt(result.rows[0].attempts, 10);
+  const retryAfter = attempts >= max
+    ? Math.max(secondsUntil(result.rows[0].first_attempt, windowSeconds), 1)
+    : 0;
+
+  return { allowed: retryAfter === 0, retryAfter };
+};
+
+// Write one audit row
+const recordLoginAttempt = async ({ req, username, userId = null, attemptType = 'login', outcome, reason = null }) => {
+  await pool.query(`
+    INSERT INTO login_attempts (user_id, username, ip_address, user_agent, attempt_type, outcome, reason)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [userId, normalizeUsername(username), req.ip, req.get('User-Agent') || null, attemptType, outcome, reason]);
+};
+
+// Answer 429 with Retry-After
+const sendTooManyAttempts = (res, retryAfter, message = 'Too many attempts, please try again later') => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: message, retry_after: retryAfter });
+};
+
+// Most recent sign-in activity for a user
+const loadRecentSignIns = async (userId, limit = 20) => {
+  const result = await pool.query(`
+    SELECT created_at, ip_address, user_agent, attempt_type, outcome, reason
+    FROM login_attempts
+    WHERE user_id = $1 AND attempt_type IN ('login', '2fa')
+    ORDER BY created_at DESC
+    LIMIT $2
+  `, [userId, limit]);
+
+  return result.rows;
+};
+
+module.exports = {
+  ensureLoginAttemptsTable,
+  checkLoginThrottle,
+  checkIpThrottle,
+  recordLoginAttempt,
+  sendTooManyAttempts,
+  loadRecentSignIns
+};
\ No newline at end of file
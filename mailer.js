@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing email goes through one of these transports, picked with MAIL_TRANSPORT:
+//   smtp    - real delivery via SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - one .eml file per message in MAIL_OUTBOX_DIR, for local testing
+//   console - printed to the log (default outside production)
+// In production MAIL_TRANSPORT must be set, and only smtp is allowed: the others would write
+// reset and verification links to disk or the log.
+// A transport is any object with an async send({ from, to, subject, text, html }).
+const MAIL_FROM = process.env.MAIL_FROM || 'Budget App <no-reply@budget-app.local>';
+
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const createFileTransport = () => {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox');
+
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.eml`;
+      const contents = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        '',
+        message.text
+      ].join('\r\n');
+
+      await fs.promises.writeFile(path.join(outboxDir, fileName), contents);
+      console.log(`📧 Mail for ${message.to} written to ${path.join(outboxDir, fileName)}`);
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+// Transports that keep mail on this machine instead of delivering it
+const LOCAL_TRANSPORTS = ['file', 'console'];
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const isProduction = process.env.NODE_ENV === 'production';
+    const name = process.env.MAIL_TRANSPORT || (isProduction ? null : 'console');
+    if (!name) {
+      throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}", expected one of ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    if (isProduction && LOCAL_TRANSPORTS.includes(name)) {
+      throw new Error(`MAIL_TRANSPORT "${name}" is not allowed in production`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+// Swap the transport at runtime (e.g. a stub in tests)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = {
+  sendMail,
+  setTransport
+};
\ No newline at end of file
@@ -0,0 +1,303 @@
+const fs = require('fs');
+const pool = require('../config/database');
+
+// Current prices come from one of these providers, picked with PRICE_PROVIDER:
+//   yahoo   - Yahoo Finance's public chart endpoint (default)
+//   fixture - fixed prices from PRICE_FIXTURE_FILE (JSON { "AAPL": { "price": 190.1, "previous_close": 188.2 } }),
+//             or the built-in ones below, for working offline
+// A provider is any object with a name and an async fetchQuote(symbol, { signal }) that resolves to
+// { price, previous_close, currency, as_of } or null when it has no price for the symbol.
+//
+// Quotes are cached in price_quotes for PRICE_CACHE_TTL_SECONDS. When a refresh fails the last
+// cached quote is served anyway, marked stale. Callers may ask for fresher quotes, but never
+// fresher than MIN_MAX_AGE_SECONDS. Symbols the provider has no price for are remembered for
+// PRICE_MISSING_TTL_SECONDS so they are not looked up on every request.
+const CACHE_TTL_SECONDS = parseInt(process.env.PRICE_CACHE_TTL_SECONDS, 10) || 5 * 60;
+const MIN_MAX_AGE_SECONDS = 60;
+const MISSING_TTL_SECONDS = parseInt(process.env.PRICE_MISSING_TTL_SECONDS, 10) || 15 * 60;
+const FETCH_TIMEOUT_MS = parseInt(process.env.PRICE_FETCH_TIMEOUT_MS, 10) || 5000;
+const FETCH_CONCURRENCY = parseInt(process.env.PRICE_FETCH_CONCURRENCY, 10) || 5;
+const MAX_SYMBOLS = 50;
+
+// Tickers as Yahoo writes them: BRK-B, RDS.A, ^GSPC, EURUSD=X, BTC-USD
+const SYMBOL_PATTERN = /^\^?[A-Z0-9][A-Z0-9.\-=]{0,14}$/;
+
+// Optional comma separated list; when set, nothing else is ever sent to the provider
+const SYMBOL_WHITELIST = (process.env.PRICE_SYMBOL_WHITELIST || '')
+  .split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean);
+
+const FIXTURE_PRICES = {
+  AAPL: { price: 190.5, previous_close: 188.25, currency: 'USD' },
+  MSFT: { price: 415.1, previous_close: 417.8, currency: 'USD' },
+  VTI: { price: 265.3, previous_close: 264.9, currency: 'USD' },
+  VXUS: { price: 61.2, previous_close: 61.05, currency: 'USD' },
+  BND: { price: 72.4, previous_close: 72.45, currency: 'USD' }
+};
+
+// Ensure the quote cache table exists
+const ensurePriceCacheTable = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS price_quotes (
+        symbol VARCHAR(20) PRIMARY KEY,
+        price DECIMAL(18,6) NOT NULL,
+        previous_close DECIMAL(18,6),
+        currency VARCHAR(10),
+        provider VARCHAR(30) NOT NULL,
+        as_of TIMESTAMP,
+        fetched_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // missing_at: when the provider last had no price for the symbol. A symbol never priced
+    // has only that marker, so price may be empty.
+    await pool.query(`
+      ALTER TABLE price_quotes
+        ADD COLUMN IF NOT EXISTS missing_at TIMESTAMP,
+        ALTER COLUMN price DROP NOT NULL
+    `);
+
+    console.log('✅ Price cache table ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Price cache table exists but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with price cache table:', error.message);
+    }
+  }
+};
+
+const createYahooProvider = () => ({
+  name: 'yahoo',
+  fetchQuote: async (symbol, { signal }) => {
+    const response = await fetch(
+      `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}`,
+      { signal }
+    );
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Yahoo returned ${response.status} for ${symbol}`);
+    }
+
+    const meta = (await response.json()).chart?.result?.[0]?.meta;
+    if (!meta?.regularMarketPrice) {
+      return null;
+    }
+
+    return {
+      price: meta.regularMarketPrice,
+      previous_close: meta.chartPreviousClose ?? meta.previousClose ?? null,
+      currency: meta.currency || null,
+      as_of: meta.regularMarketTime ? new Date(meta.regularMarketTime * 1000) : new Date()
+    };
+  }
+});
+
+const createFixtureProvider = () => {
+  const prices = process.env.PRICE_FIXTURE_FILE
+    ? JSON.parse(fs.readFileSync(process.env.PRICE_FIXTURE_FILE, 'utf8'))
+    : FIXTURE_PRICES;
+
+  return {
+    name: 'fixture',
+    fetchQuote: async (symbol) => {
+      const fixture = prices[symbol];
+      if (!fixture) {
+        return null;
+      }
+
+      return {
+        price: fixture.price,
+        previous_close: fixture.previous_close ?? null,
+        currency: fixture.currency || 'USD',
+        as_of: new Date()
+      };
+    }
+  };
+};
+
+const PROVIDERS = {
+  yahoo: createYahooProvider,
+  fixture: createFixtureProvider
+};
+
+let provider = null;
+
+const getProvider = () => {
+  if (!provider) {
+    const name = process.env.PRICE_PROVIDER || 'yahoo';
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown PRICE_PROVIDER "${name}", expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    provider = PROVIDERS[name]();
+  }
+  return provider;
+};
+
+// Swap the provider at runtime (e.g. a stub in tests)
+const setProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+// Split requested symbols into ones we will look up and ones we refuse, uppercased and deduplicated
+const validateSymbols = (symbols) => {
+  const valid = [];
+  const invalid = [];
+
+  symbols.map(symbol => String(symbol).trim().toUpperCase()).filter(Boolean).forEach(symbol => {
+    if (valid.includes(symbol) || invalid.includes(symbol)) return;
+    if (!SYMBOL_PATTERN.test(symbol) || (SYMBOL_WHITELIST.length > 0 && !SYMBOL_WHITELIST.includes(symbol))) {
+      invalid.push(symbol);
+    } else {
+      valid.push(symbol);
+    }
+  });
+
+  return { valid, invalid };
+};
+
+// Run worker over items, at most `limit` at a time
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+};
+
+// Lookups already on their way, so simultaneous requests for one symbol share a single call
+const inFlight = new Map();
+
+const fetchLiveQuote = (symbol) => {
+  if (!inFlight.has(symbol)) {
+    const source = getProvider();
+    const request = source.fetchQuote(symbol, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) })
+      .then(quote => (quote ? { ...quote, provider: source.name } : null))
+      .finally(() => inFlight.delete(symbol));
+    inFlight.set(symbol, request);
+  }
+  return inFlight.get(symbol);
+};
+
+const roundPrice = (value) => Math.round(value * 10000) / 10000;
+
+// The shape every caller sees, with how old the price is
+const formatQuote = (row, source) => {
+  const price = parseFloat(row.price);
+  const previousClose = row.previous_close !== null && row.previous_close !== undefined ? parseFloat(row.previous_close) : null;
+  const change = previousClose ? roundPrice(price - previousClose) : null;
+  const fetchedAt = new Date(row.fetched_at);
+  const ageSeconds = Math.max(0, Math.round((Date.now() - fetchedAt.getTime()) / 1000));
+
+  return {
+    price,
+    previous_close: previousClose,
+    change,
+    change_percent: previousClose ? Math.round((change / previousClose) * 10000) / 100 : null,
+    currency: row.currency,
+    provider: row.provider,
+    as_of: row.as_of,
+    fetched_at: fetchedAt,
+    age_seconds: ageSeconds,
+    stale: ageSeconds > CACHE_TTL_SECONDS,
+    source
+  };
+};
+
+// Current quotes for a list of symbols: fresh cache rows are used as is, the rest are fetched
+// from the provider in parallel batches, and a failed fetch falls back to the old cached row.
+// Returns { quotes: { SYMBOL: quote }, missing: [symbols with no price], invalid: [rejected symbols] }
+const getQuotes = async (symbols, { maxAgeSeconds = CACHE_TTL_SECONDS } = {}) => {
+  const maxAgeMs = Math.max(maxAgeSeconds, MIN_MAX_AGE_SECONDS) * 1000;
+  const { valid, invalid } = validateSymbols(symbols);
+  if (valid.length > MAX_SYMBOLS) {
+    const error = new Error(`At most ${MAX_SYMBOLS} symbols can be priced at once`);
+    error.status = 400;
+    throw error;
+  }
+
+  const cachedResult = valid.length > 0
+    ? await pool.query('SELECT * FROM price_quotes WHERE symbol = ANY($1)', [valid])
+    : { rows: [] };
+  const cached = {};
+  cachedResult.rows.forEach(row => { cached[row.symbol] = row; });
+
+  const quotes = {};
+  const toFetch = [];
+  valid.forEach(symbol => {
+    const row = cached[symbol];
+    if (row && row.missing_at && Date.now() - new Date(row.missing_at).getTime() <= MISSING_TTL_SECONDS * 1000) {
+      // Recently unknown to the provider - answer from the cache without asking again
+      if (row.price !== null) {
+        quotes[symbol] = { ...formatQuote(row, 'stale_cache'), stale: true };
+      }
+    } else if (row && row.price !== null && Date.now() - new Date(row.fetched_at).getTime() <= maxAgeMs) {
+      quotes[symbol] = formatQuote(row, 'cache');
+    } else {
+      toFetch.push(symbol);
+    }
+  });
+
+  await mapWithConcurrency(toFetch, FETCH_CONCURRENCY, async (symbol) => {
+    const lastPriced = cached[symbol]?.price !== null && cached[symbol]?.price !== undefined ? cached[symbol] : null;
+
+    try {
+      const quote = await fetchLiveQuote(symbol);
+      if (!quote) {
+        console.log(`⚠️ No price data found for ${symbol}`);
+        await pool.query(`
+          INSERT INTO price_quotes (symbol, provider, missing_at) VALUES ($1, $2, CURRENT_TIMESTAMP)
+          ON CONFLICT (symbol) DO UPDATE SET missing_at = EXCLUDED.missing_at
+        `, [symbol, getProvider().name]);
+        if (lastPriced) {
+          quotes[symbol] = { ...formatQuote(lastPriced, 'stale_cache'), stale: true };
+        }
+        return;
+      }
+
+      const saved = await pool.query(`
+        INSERT INTO price_quotes (symbol, price, previous_close, currency, provider, as_of, fetched_at)
+        VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+        ON CONFLICT (symbol) DO UPDATE SET
+          price = EXCLUDED.price,
+          previous_close = EXCLUDED.previous_close,
+          currency = EXCLUDED.currency,
+          provider = EXCLUDED.provider,
+          as_of = EXCLUDED.as_of,
+          fetched_at = EXCLUDED.fetched_at,
+          missing_at = NULL
+        RETURNING *
+      `, [symbol, quote.price, quote.previous_close, quote.currency, quote.provider, quote.as_of]);
+      quotes[symbol] = formatQuote(saved.rows[0], 'live');
+    } catch (error) {
+      console.error(`❌ Error fetching price for ${symbol}:`, error.message);
+      if (lastPriced) {
+        quotes[symbol] = { ...formatQuote(lastPriced, 'stale_cache'), stale: true };
+      }
+    }
+  });
+
+  return {
+    quotes,
+    missing: valid.filter(symbol => !quotes[symbol]),
+    invalid
+  };
+};
+
+module.exports = {
+  CACHE_TTL_SECONDS,
+  MAX_SYMBOLS,
+  ensurePriceCacheTable,
+  setProvider,
+  validateSymbols,
+  getQuotes
+};
\ No newline at end of file
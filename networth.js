@@ -0,0 +1,76 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  ensureSnapshotTable,
+  snapshotBalances,
+  isValidDate,
+  countIntervals,
+  loadNetWorthSeries
+} = require('./balanceSnapshots');
+
+const router = express.Router();
+
+// Initialize table on startup
+ensureSnapshotTable();
+
+const INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 90;
+const MAX_POINTS = 1000;
+
+// GET /api/networth?from=YYYY-MM-DD&to=YYYY-MM-DD&interval=day|week|month
+// Assets, liabilities and net worth over time from the daily balance snapshots
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const to = req.query.to || new Date().toISOString().slice(0, 10);
+    if (!isValidDate(to)) {
+      return res.status(400).json({ error: 'from and to must be valid YYYY-MM-DD dates' });
+    }
+    const from = req.query.from ||
+      new Date(new Date(`${to}T00:00:00Z`).getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const interval = req.query.interval || 'day';
+
+    if (!isValidDate(from)) {
+      return res.status(400).json({ error: 'from and to must be valid YYYY-MM-DD dates' });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `Interval must be one of: ${INTERVALS.join(', ')}` });
+    }
+    if (countIntervals(from, to, interval) > MAX_POINTS) {
+      return res.status(400).json({ error: `That range has more than ${MAX_POINTS} points, use a longer interval` });
+    }
+
+    const series = await loadNetWorthSeries(req.user_id, { from, to, interval });
+    const first = series[0];
+    const last = series[series.length - 1];
+
+    res.json({
+      from,
+      to,
+      interval,
+      series,
+      change: {
+        net_worth: last && first ? Math.round((last.net_worth - first.net_worth) * 100) / 100 : 0
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching net worth:', error);
+    res.status(500).json({ error: 'Failed to fetch net worth' });
+  }
+});
+
+// POST /api/networth/snapshot - Record today's balances now instead of waiting for the daily job
+router.post('/snapshot', authenticateToken, async (req, res) => {
+  try {
+    const result = await snapshotBalances(req.user_id);
+
+    res.json({ message: 'Balances recorded', ...result });
+  } catch (error) {
+    console.error('Error recording balances:', error);
+    res.status(500).json({ error: 'Failed to record balances' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
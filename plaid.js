@@ -1,32 +1,103 @@
 const express = require('express');
-const { Configuration, PlaidApi, PlaidEnvironments } = require('plaid');
 const pool = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const client = require('./plaidClient');
+const {
+  ensureTransactionTables,
+  syncUserTransactions,
+  saveAccounts,
+  loadTransactions,
+  loadAccounts
+} = require('./transactionSync');
+const { processTransactionsForCategorization, ensureCategorizationSourceColumn } = require('./categorization');
+const { ensureWebhookTables, verifyWebhook, handleWebhook } = require('./plaidWebhooks');
+const { setBankStatus, recordBankError, clearBankError, loadBankErrors } = require('./bankStatus');
+const { encryptAccessToken, getAccessToken, ensureTokenColumns } = require('./tokenVault');
+const { requireTwoFactorForBanks } = require('./twoFactor');
+const { evaluateBudgetAlerts } = require('./budgetAlerts');
+const {
+  ensureCategorizationRuleTables,
+  validateRule,
+  dryRunRule,
+  suggestRuleFromHistory
+} = require('./categorizationRules');
+const {
+  ensureClassifierSettingsTable,
+  loadModel,
+  predictCategory,
+  loadAutoApplyConfidence
+} = require('./categoryClassifier');
+const {
+  SPLIT_CATEGORY,
+  ensureSplitTables,
+  validateSplits,
+  saveSplits,
+  loadSplitsByTransaction
+} = require('./transactionSplits');
+const { ensureCategoriesTable, resolveCategory } = require('./categoryStore');
+const {
+  REVIEW_STATUSES,
+  ensureReviewQueueTables,
+  validateBulkRequest,
+  applyBulkOperation,
+  undoLastBulkOperation
+} = require('./reviewQueue');
+const { ensureSearchIndex, parseSearchQuery, searchTransactions } = require('./transactionSearch');
+const {
+  STREAM_STATUSES,
+  ensureRecurringTables,
+  refreshRecurringStreams,
+  loadRecurringStreams
+} = require('./recurringDetection');
+const {
+  ensureLiabilityTables,
+  refreshLiabilities,
+  loadLiabilities,
+  buildPaymentCalendar,
+  toICalendar,
+  createCalendarFeedToken,
+  findCalendarFeedUser
+} = require('./liabilities');
+const {
+  ensureDebtPlanTable,
+  validatePlanRequest,
+  loadDebts,
+  simulatePayoff,
+  compareStrategies,
+  saveDebtPlan,
+  loadDebtPlan
+} = require('./debtPayoff');
+const { CACHE_TTL_SECONDS, MAX_SYMBOLS: MAX_PRICED_SYMBOLS, ensurePriceCacheTable, getQuotes } = require('./marketData');
+const {
+  ensureInvestmentTables,
+  saveHoldingsSnapshot,
+  refreshInvestments,
+  loadLatestHoldings,
+  loadHoldingsHistory,
+  loadInvestmentTransactions
+} = require('./investments');
+const { buildPortfolio, computePerformance } = require('./portfolioAnalytics');
+const { isValidDate } = require('./balanceSnapshots');
 
 const router = express.Router();
 
-// DEBUG: Log Plaid version and environment
-console.log('🔍 Plaid Environment:', process.env.PLAID_ENV || 'sandbox');
-console.log('🔍 Plaid Client ID:', process.env.PLAID_CLIENT_ID ? 'Set' : 'Not set');
-console.log('🔍 Plaid Secret:', process.env.PLAID_SECRET ? 'Set' : 'Not set');
-
-// Initialize Plaid client
-const configuration = new Configuration({
-  basePath: PlaidEnvironments[process.env.PLAID_ENV || 'sandbox'],
-  baseOptions: {
-    headers: {
-      'PLAID-CLIENT-ID': process.env.PLAID_CLIENT_ID,
-      'PLAID-SECRET': process.env.PLAID_SECRET,
-    },
-  },
-});
-
-const client = new PlaidApi(configuration);
-
-// DEBUG: Log available methods on client
-console.log('🔍 Client constructor name:', client.constructor.name);
-console.log('🔍 Available client methods:', Object.getOwnPropertyNames(client));
-console.log('🔍 Available prototype methods:', Object.getOwnPropertyNames(Object.getPrototypeOf(client)));
+// Initialize sync, webhook, token, rule, classifier, split, category, categorization source, review queue, recurring
+// stream, liability, debt plan, price cache and investment tables and the transaction search index on startup
+ensureTransactionTables()
+  .then(ensureWebhookTables)
+  .then(ensureTokenColumns)
+  .then(ensureCategorizationRuleTables)
+  .then(ensureClassifierSettingsTable)
+  .then(ensureSplitTables)
+  .then(ensureCategoriesTable)
+  .then(ensureCategorizationSourceColumn)
+  .then(ensureReviewQueueTables)
+  .then(ensureSearchIndex)
+  .then(ensureRecurringTables)
+  .then(ensureLiabilityTables)
+  .then(ensureDebtPlanTable)
+  .then(ensurePriceCacheTable)
+  .then(ensureInvestmentTables);
 
 // Test endpoint
 router.get('/status', authenticateToken, (req, res) => {
@@ -38,10 +109,49 @@ router.get('/status', authenticateToken, (req, res) => {
   });
 });
 
-// Create link token
-router.post('/create_link_token', authenticateToken, async (req, res) => {
+// Plaid webhook receiver - no user token, authenticity comes from the signed Plaid-Verification header.
+// The signature covers the exact bytes Plaid sent, so this router must be mounted before any
+// app-level express.json(), or that parser must keep the bytes with
+// express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }).
+router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : req.rawBody;
+  if (!Buffer.isBuffer(rawBody) || rawBody.length === 0) {
+    console.error('❌ Webhook raw body unavailable - mount the Plaid router before express.json() or keep req.rawBody');
+    return res.status(400).json({
+      error: 'Webhook body unavailable for verification: send it as application/json, unparsed'
+    });
+  }
+
+  try {
+    await verifyWebhook(rawBody, req.get('Plaid-Verification'));
+  } catch (error) {
+    console.error('❌ Rejected webhook:', error.message);
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  let payload;
   try {
-    console.log('🔗 Creating link token for user:', req.user_id);
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return res.status(400).json({ error: 'Webhook body is not valid JSON' });
+  }
+
+  console.log(`📬 Webhook ${payload.webhook_type}/${payload.webhook_code} for item ${payload.item_id}`);
+
+  // Acknowledge first - Plaid retries webhooks that take longer than 10 seconds
+  res.json({ received: true });
+
+  handleWebhook(payload).catch(error => {
+    console.error('❌ Error handling webhook:', error);
+  });
+});
+
+// Create link token - pass bank_id to get an update-mode token that repairs an existing connection
+router.post('/create_link_token', authenticateToken, requireTwoFactorForBanks, async (req, res) => {
+  try {
+    const { bank_id } = req.body || {};
+
+    console.log('🔗 Creating link token for user:', req.user_id, bank_id ? `(update mode for bank ${bank_id})` : '');
     
     const request = {
       user: {
@@ -49,18 +159,44 @@ router.post('/create_link_token', authenticateToken, async (req, res) => {
       },
       client_name: 'Budget App',
       products: ['transactions', 'investments'], // Add investments for holdings data
+      optional_products: ['liabilities'], // Credit cards and loans, where the institution supports it
       country_codes: ['CA'],
       language: 'en',
     };
 
+    // Let Plaid push item and transaction events instead of waiting for a page load
+    if (process.env.PLAID_WEBHOOK_URL) {
+      request.webhook = process.env.PLAID_WEBHOOK_URL;
+    }
+
     console.log('🔗 Link token request:', JSON.stringify(request, null, 2));
 
+    // Update mode: reuse the existing item's access token, Plaid rejects products in this mode
+    if (bank_id) {
+      const bankResult = await pool.query(
+        'SELECT * FROM user_banks WHERE id = $1 AND user_id = $2',
+        [bank_id, req.user_id]
+      );
+
+      if (bankResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Bank connection not found' });
+      }
+
+      delete request.products;
+      delete request.optional_products;
+      request.access_token = getAccessToken(bankResult.rows[0]);
+    }
+
     const response = await client.linkTokenCreate(request);
     
     console.log('✅ Link token created successfully');
     console.log('🔗 Link token (first 20 chars):', response.data.link_token.substring(0, 20) + '...');
     
-    res.json({ link_token: response.data.link_token });
+    res.json({
+      link_token: response.data.link_token,
+      mode: bank_id ? 'update' : 'create',
+      bank_id: bank_id || null
+    });
   } catch (error) {
     console.error('❌ Error creating link token:', error.message);
     console.error('❌ Full error:', error);
@@ -68,14 +204,107 @@ router.post('/create_link_token', authenticateToken, async (req, res) => {
   }
 });
 
+// Helper function to look up the institution behind an item (name, logo, colour, url)
+const fetchInstitution = async (accessToken) => {
+  const itemResponse = await client.itemGet({ access_token: accessToken });
+  const institutionId = itemResponse.data.item.institution_id;
+
+  if (!institutionId) {
+    return null;
+  }
+
+  const institutionResponse = await client.institutionsGetById({
+    institution_id: institutionId,
+    country_codes: ['CA'],
+    options: { include_optional_metadata: true }
+  });
+  const institution = institutionResponse.data.institution;
+
+  return {
+    institution_id: institution.institution_id,
+    name: institution.name,
+    logo: institution.logo || null,
+    primary_color: institution.primary_color || null,
+    url: institution.url || null
+  };
+};
+
+// Helper function to store institution metadata on a user_banks row
+const saveInstitution = async (bankId, institution) => {
+  await pool.query(`
+    UPDATE user_banks
+    SET institution_id = $1, institution_name = $2, institution_logo = $3,
+      institution_color = $4, institution_url = $5, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $6
+  `, [institution.institution_id, institution.name, institution.logo, institution.primary_color, institution.url, bankId]);
+};
+
+// Helper function to find the user's other items at the same institution sharing an account mask
+const findDuplicateBanks = async (bank, institutionId, accounts) => {
+  const masks = accounts.map(account => account.mask).filter(Boolean);
+
+  if (!institutionId || masks.length === 0) {
+    return [];
+  }
+
+  const result = await pool.query(`
+    SELECT b.id, b.institution_name, b.created_at, array_agg(DISTINCT a.mask) AS overlapping_masks
+    FROM user_banks b
+    JOIN bank_accounts a ON a.bank_id = b.id
+    WHERE b.user_id = $1
+      AND b.id <> $2
+      AND b.institution_id = $3
+      AND b.status IS DISTINCT FROM 'duplicate_pending'
+      AND a.mask = ANY($4)
+    GROUP BY b.id
+    ORDER BY b.created_at
+  `, [bank.user_id, bank.id, institutionId, masks]);
+
+  return result.rows;
+};
+
+// Helper function to remove an item from Plaid and delete its row (transactions and accounts cascade)
+const removeBankConnection = async (bank) => {
+  try {
+    // Remove item from Plaid (optional - will automatically clean up)
+    await client.itemRemove({
+      access_token: getAccessToken(bank)
+    });
+    console.log(`✅ Removed item ${bank.item_id} from Plaid`);
+  } catch (plaidError) {
+    console.log('⚠️ Could not remove from Plaid (item may already be removed):', plaidError.message);
+  }
+
+  await pool.query('DELETE FROM user_banks WHERE id = $1 AND user_id = $2', [bank.id, bank.user_id]);
+};
+
+// Duplicate links the user never resolved are removed after this long
+const DUPLICATE_PENDING_TTL_MINUTES = parseInt(process.env.DUPLICATE_PENDING_TTL_MINUTES, 10) || 60;
+
+// Helper function to remove the user's abandoned duplicate links, from Plaid as well
+const expireDuplicateBanks = async (userId) => {
+  const expired = await pool.query(`
+    SELECT * FROM user_banks
+    WHERE user_id = $1 AND status = 'duplicate_pending'
+      AND updated_at < CURRENT_TIMESTAMP - make_interval(mins => $2)
+  `, [userId, DUPLICATE_PENDING_TTL_MINUTES]);
+
+  for (const bank of expired.rows) {
+    await removeBankConnection(bank);
+    console.log(`🗑️ Expired unresolved duplicate bank ${bank.id}`);
+  }
+};
+
 // FIXED: Exchange public token - USE CORRECT METHOD NAME
-router.post('/exchange_public_token', authenticateToken, async (req, res) => {
+router.post('/exchange_public_token', authenticateToken, requireTwoFactorForBanks, async (req, res) => {
   try {
     const { public_token } = req.body;
     
     console.log('🔄 Attempting to exchange public token');
     console.log('🔄 Public token (first 20 chars):', public_token ? public_token.substring(0, 20) + '...' : 'undefined');
     console.log('🔄 User ID:', req.user_id);
+
+    await expireDuplicateBanks(req.user_id);
     
     // CORRECT: Use itemPublicTokenExchange (from debug output)
     console.log('✅ Using itemPublicTokenExchange method');
@@ -88,41 +317,100 @@ router.post('/exchange_public_token', authenticateToken, async (req, res) => {
     const accessToken = response.data.access_token;
     const itemId = response.data.item_id;
     
-    console.log('🔑 Access token (first 20 chars):', accessToken.substring(0, 20) + '...');
     console.log('🏦 Item ID:', itemId);
 
-    // Create user_banks table if it doesn't exist
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS user_banks (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        item_id VARCHAR(255) NOT NULL,
-        access_token VARCHAR(500) NOT NULL,
-        institution_name VARCHAR(255),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(user_id, item_id)
-      )
-    `);
+    // Look up the real institution and the accounts shared through Link before saving anything,
+    // so a failed lookup leaves no half-connected bank behind
+    let institution;
+    let accounts;
+    try {
+      institution = await fetchInstitution(accessToken);
+      const accountsResponse = await client.accountsGet({ access_token: accessToken });
+      accounts = accountsResponse.data.accounts;
+    } catch (lookupError) {
+      try {
+        await client.itemRemove({ access_token: accessToken });
+      } catch (plaidError) {
+        console.log('⚠️ Could not remove item after failed lookup:', plaidError.message);
+      }
+      throw lookupError;
+    }
 
-    // Store access token in database
+    // Store the access token encrypted - the plaintext never touches the database
+    const encrypted = encryptAccessToken(itemId, accessToken);
     const query = `
-      INSERT INTO user_banks (user_id, item_id, access_token, institution_name) 
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO user_banks (
+        user_id, item_id, access_token_ciphertext, wrapped_data_key, token_key_id, institution_name,
+        institution_id, institution_logo, institution_color, institution_url, institution_checked_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP)
       ON CONFLICT (user_id, item_id) 
-      DO UPDATE SET access_token = $3, updated_at = CURRENT_TIMESTAMP
+      DO UPDATE SET
+        access_token_ciphertext = $3, wrapped_data_key = $4, token_key_id = $5, updated_at = CURRENT_TIMESTAMP
       RETURNING *
     `;
     
-    const dbResult = await pool.query(query, [req.user_id, itemId, accessToken, 'Connected Bank']);
+    const dbResult = await pool.query(query, [
+      req.user_id,
+      itemId,
+      encrypted.access_token_ciphertext,
+      encrypted.wrapped_data_key,
+      encrypted.token_key_id,
+      institution?.name || 'Connected Bank',
+      institution?.institution_id || null,
+      institution?.logo || null,
+      institution?.primary_color || null,
+      institution?.url || null
+    ]);
     
     console.log('💾 Bank connection saved to database');
 
+    const bank = dbResult.rows[0];
+
+    try {
+      // Same login linked twice would double every transaction and balance - let the user pick one
+      const duplicates = await findDuplicateBanks(bank, institution?.institution_id, accounts);
+      if (duplicates.length > 0) {
+        await setBankStatus(bank, 'duplicate_pending');
+
+        console.log(`⚠️ Bank ${bank.id} duplicates existing banks:`, duplicates.map(dup => dup.id));
+
+        return res.status(409).json({
+          success: false,
+          duplicate: true,
+          message: `${institution.name} is already connected with the same accounts`,
+          pending_bank_id: bank.id,
+          existing_banks: duplicates,
+          options: ['replace', 'abort'],
+          expires_in_minutes: DUPLICATE_PENDING_TTL_MINUTES
+        });
+      }
+
+      await saveAccounts(bank, accounts);
+    } catch (saveError) {
+      await removeBankConnection(bank);
+      throw saveError;
+    }
+
+    console.log(`🏦 Connected ${institution?.name || 'unknown institution'} with ${accounts.length} accounts`);
+
     res.json({ 
       success: true,
       message: 'Bank connected successfully',
-      institution_name: 'Connected Bank',
-      accounts: 1 // Default for now
+      bank_id: bank.id,
+      institution_name: institution?.name || 'Connected Bank',
+      institution_logo: institution?.logo || null,
+      institution_color: institution?.primary_color || null,
+      institution_url: institution?.url || null,
+      accounts: accounts.length,
+      account_list: accounts.map(account => ({
+        account_id: account.account_id,
+        name: account.name,
+        official_name: account.official_name,
+        mask: account.mask,
+        type: account.type,
+        subtype: account.subtype
+      }))
     });
   } catch (error) {
     console.error('❌ Error exchanging public token:', error.message);
@@ -131,26 +419,6 @@ router.post('/exchange_public_token', authenticateToken, async (req, res) => {
   }
 });
 
-// Define Plaid categories that are clear enough to auto-categorize
-const AUTO_CATEGORIZE_PLAID_CATEGORIES = [
-  'INCOME',
-  'PAYROLL', 
-  'DEPOSIT',
-  'TRANSFER_IN',
-  'TRANSFER_OUT',
-  'BANK_FEES',
-  'ATM_FEES',
-  'INTEREST_EARNED',
-  'INTEREST_CHARGED',
-  'LOAN_PAYMENTS',
-  'CREDIT_CARD_PAYMENT',
-  'INSURANCE',
-  'TAXES',
-  'UTILITIES',
-  'RENT_AND_UTILITIES',
-  'MORTGAGE_AND_RENT'
-];
-
 // Helper function to add categorization data efficiently
 const addCategorizationData = async (transactions, userId, banksResult, allAccounts) => {
   // Only query categorizations if we have transactions
@@ -178,226 +446,175 @@ const addCategorizationData = async (transactions, userId, banksResult, allAccou
   return transactions.map(transaction => ({
     ...transaction,
     user_category: categorizationMap[transaction.transaction_id] || null,
-    bank_name: 'Connected Bank' // Simplified for performance
+    bank_name: bankMap[transaction.bank_id] || transaction.bank_name || null
   }));
 };
 
-// Helper function to auto-categorize clear transactions and add manual review transactions
-const processTransactionsForCategorization = async (transactions, userId) => {
-  if (transactions.length === 0) return { autoCount: 0, manualCount: 0 };
+// Helper function to sync stale banks and read transactions back from Postgres
+const buildTransactionsResponse = async (userId, startDate, endDate, force = false) => {
+  const syncSummary = await syncUserTransactions(userId, { force });
 
-  let autoCategorizationPromises = [];
-  let manualReviewTransactions = [];
-  
-  // Get existing categorizations to avoid duplicates
-  const existingCategorizations = await pool.query(
-    'SELECT transaction_id FROM transaction_categorizations WHERE user_id = $1',
-    [userId]
-  );
-  const categorizedIds = new Set(existingCategorizations.rows.map(row => row.transaction_id));
-
-  // Get existing manual review transactions to avoid duplicates
-  const existingManualReview = await pool.query(
-    'SELECT transaction_id FROM manual_review_transactions WHERE user_id = $1',
-    [userId]
-  );
-  const manualReviewIds = new Set(existingManualReview.rows.map(row => row.transaction_id));
-
-  for (const tx of transactions) {
-    // Skip if already categorized or already in manual review
-    if (categorizedIds.has(tx.transaction_id) || manualReviewIds.has(tx.transaction_id)) {
-      continue;
-    }
-
-    const plaidCategory = tx.personal_finance_category?.primary;
-    
-    if (plaidCategory && AUTO_CATEGORIZE_PLAID_CATEGORIES.includes(plaidCategory)) {
-      // Auto-categorize this transaction
-      const cleanCategory = plaidCategory.replace(/_/g, ' ').toLowerCase()
-        .split(' ')
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-        .join(' ');
-        
-      autoCategorizationPromises.push(
-        pool.query(`
-          INSERT INTO transaction_categorizations (user_id, transaction_id, category, plaid_data) 
-          VALUES ($1, $2, $3, $4)
-          ON CONFLICT (user_id, transaction_id) DO NOTHING
-        `, [userId, tx.transaction_id, cleanCategory, JSON.stringify(tx)])
-      );
-    } else {
-      // Add to manual review
-      manualReviewTransactions.push(tx);
-    }
+  if (syncSummary.banks === 0) {
+    return { transactions: [], accounts: [], bank_errors: [] };
   }
 
-  // Process auto-categorizations
-  if (autoCategorizationPromises.length > 0) {
-    await Promise.all(autoCategorizationPromises);
-    console.log(`✅ Auto-categorized ${autoCategorizationPromises.length} transactions`);
-  }
+  // Only newly added transactions can need categorization
+  const { autoCount, manualCount } = await processTransactionsForCategorization(syncSummary.added, userId);
+
+  const transactions = await loadTransactions(userId, { startDate, endDate });
+  const accounts = await loadAccounts(userId);
+  const bankErrors = await loadBankErrors(userId);
+
+  console.log(`📊 Total stored transactions returned: ${transactions.length}`);
+
+  return {
+    transactions,
+    accounts,
+    bank_errors: bankErrors,
+    processing_summary: {
+      total: transactions.length,
+      banks_synced: syncSummary.synced,
+      added: syncSummary.added.length,
+      modified: syncSummary.modified,
+      removed: syncSummary.removed,
+      auto_categorized: autoCount,
+      manual_review_added: manualCount
+    }
+  };
+};
 
-  // Add manual review transactions to the table
-  if (manualReviewTransactions.length > 0) {
-    const insertPromises = manualReviewTransactions.map(tx =>
-      pool.query(`
-        INSERT INTO manual_review_transactions (user_id, transaction_id, transaction_data) 
-        VALUES ($1, $2, $3)
-        ON CONFLICT (user_id, transaction_id) DO NOTHING
-      `, [userId, tx.transaction_id, JSON.stringify(tx)])
-    );
-    
-    await Promise.all(insertPromises);
-    console.log(`✅ Added ${manualReviewTransactions.length} transactions for manual review`);
+// Helper function to check an optional start_date / end_date pair, returns an error message or null
+const validateDateRange = (startDate, endDate) => {
+  if (startDate && !isValidDate(startDate)) {
+    return 'start_date must be a YYYY-MM-DD date';
   }
-
-  return { 
-    autoCount: autoCategorizationPromises.length, 
-    manualCount: manualReviewTransactions.length 
-  };
+  if (endDate && !isValidDate(endDate)) {
+    return 'end_date must be a YYYY-MM-DD date';
+  }
+  if (startDate && endDate && startDate > endDate) {
+    return 'start_date must not be after end_date';
+  }
+  return null;
 };
 
-// Get transactions - SIMPLIFIED AND FAST
+// Get transactions - served from the local store, synced incrementally from Plaid
 router.get('/transactions', authenticateToken, async (req, res) => {
   try {
-    const banksQuery = 'SELECT * FROM user_banks WHERE user_id = $1';
-    const banksResult = await pool.query(banksQuery, [req.user_id]);
-    
-    if (banksResult.rows.length === 0) {
-      return res.json({ transactions: [], accounts: [] });
-    }
-
-    let allTransactions = [];
-    let allAccounts = [];
+    const { start_date, end_date } = req.query;
 
-    // Set default date range (last 30 days)
-    const endDate = new Date().toISOString().split('T')[0];
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - 30);
-    const startDateStr = startDate.toISOString().split('T')[0];
-
-    console.log(`📅 Fetching transactions from ${startDateStr} to ${endDate}`);
-
-    // Fetch transactions from each bank
-    for (const bank of banksResult.rows) {
-      try {
-        const transactionRequest = {
-          access_token: bank.access_token,
-          start_date: startDateStr,
-          end_date: endDate,
-        };
-
-        const transactionResponse = await client.transactionsGet(transactionRequest);
-        const accountsResponse = await client.accountsGet({ 
-          access_token: bank.access_token 
-        });
-        
-        allTransactions = allTransactions.concat(transactionResponse.data.transactions);
-        allAccounts = allAccounts.concat(accountsResponse.data.accounts);
-      } catch (error) {
-        console.error(`❌ Error fetching transactions for bank ${bank.id}:`, error.message);
-      }
+    const rangeError = validateDateRange(start_date, end_date);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
     }
 
-    console.log(`📊 Total transactions found: ${allTransactions.length}`);
-
-    // Process transactions for categorization (auto-categorize and add to manual review)
-    const { autoCount, manualCount } = await processTransactionsForCategorization(allTransactions, req.user_id);
+    console.log(`📅 Reading transactions from ${start_date || 'the beginning'} to ${end_date || 'today'}`);
 
-    res.json({ 
-      transactions: allTransactions,
-      accounts: allAccounts,
-      processing_summary: {
-        total: allTransactions.length,
-        auto_categorized: autoCount,
-        manual_review_added: manualCount
-      }
-    });
+    res.json(await buildTransactionsResponse(req.user_id, start_date || null, end_date || null));
   } catch (error) {
     console.error('❌ Error fetching transactions:', error);
     res.status(500).json({ error: 'Failed to fetch transactions' });
   }
 });
 
-// POST version for frontend compatibility - SIMPLIFIED
+// POST version for frontend compatibility
 router.post('/transactions', authenticateToken, async (req, res) => {
   try {
     const { start_date, end_date } = req.body;
-    
-    const banksQuery = 'SELECT * FROM user_banks WHERE user_id = $1';
-    const banksResult = await pool.query(banksQuery, [req.user_id]);
-    
-    if (banksResult.rows.length === 0) {
-      return res.json({ transactions: [], accounts: [] });
+
+    const rangeError = validateDateRange(start_date, end_date);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
     }
 
-    let allTransactions = [];
-    let allAccounts = [];
+    console.log(`📅 POST: Reading transactions from ${start_date || 'the beginning'} to ${end_date || 'today'}`);
 
-    // Use provided dates or default to last 30 days
-    const endDateStr = end_date || new Date().toISOString().split('T')[0];
-    const startDateObj = start_date ? new Date(start_date) : new Date();
-    if (!start_date) {
-      startDateObj.setDate(startDateObj.getDate() - 30);
-    }
-    const startDateStr = start_date || startDateObj.toISOString().split('T')[0];
+    res.json(await buildTransactionsResponse(req.user_id, start_date || null, end_date || null));
+  } catch (error) {
+    console.error('❌ Error fetching transactions:', error);
+    res.status(500).json({ error: 'Failed to fetch transactions' });
+  }
+});
 
-    console.log(`📅 POST: Fetching transactions from ${startDateStr} to ${endDateStr}`);
+// Force an incremental sync of every bank, ignoring the sync interval
+router.post('/transactions/sync', authenticateToken, async (req, res) => {
+  try {
+    console.log('🔄 Forcing transaction sync for user:', req.user_id);
 
-    // Fetch transactions from each bank
-    for (const bank of banksResult.rows) {
-      try {
-        const transactionRequest = {
-          access_token: bank.access_token,
-          start_date: startDateStr,
-          end_date: endDateStr,
-        };
+    const syncSummary = await syncUserTransactions(req.user_id, { force: true });
+    const { autoCount, manualCount } = await processTransactionsForCategorization(syncSummary.added, req.user_id);
 
-        const transactionResponse = await client.transactionsGet(transactionRequest);
-        const accountsResponse = await client.accountsGet({ 
-          access_token: bank.access_token 
-        });
-        
-        allTransactions = allTransactions.concat(transactionResponse.data.transactions);
-        allAccounts = allAccounts.concat(accountsResponse.data.accounts);
-      } catch (error) {
-        console.error(`❌ Error fetching transactions for bank ${bank.id}:`, error.message);
-      }
-    }
+    res.json({
+      success: true,
+      banks_synced: syncSummary.synced,
+      added: syncSummary.added.length,
+      modified: syncSummary.modified,
+      removed: syncSummary.removed,
+      auto_categorized: autoCount,
+      manual_review_added: manualCount
+    });
+  } catch (error) {
+    console.error('❌ Error syncing transactions:', error);
+    res.status(500).json({ error: 'Failed to sync transactions' });
+  }
+});
 
-    console.log(`📊 Total transactions found: ${allTransactions.length}`);
+// Search stored transactions without going to Plaid.
+// ?q= full text on name/merchant, start_date, end_date, min_amount, max_amount, account_id (comma list),
+// bank_id, category or category_id, pending, uncategorized=true; sort=date|amount|name, order, limit, cursor
+router.get('/transactions/search', authenticateToken, async (req, res) => {
+  try {
+    const { options, error } = parseSearchQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    // Process transactions for categorization
-    const { autoCount, manualCount } = await processTransactionsForCategorization(allTransactions, req.user_id);
+    const result = await searchTransactions(req.user_id, options);
 
-    res.json({ 
-      transactions: allTransactions,
-      accounts: allAccounts,
-      processing_summary: {
-        total: allTransactions.length,
-        auto_categorized: autoCount,
-        manual_review_added: manualCount
-      }
-    });
+    res.json(result);
   } catch (error) {
-    console.error('❌ Error fetching transactions:', error);
-    res.status(500).json({ error: 'Failed to fetch transactions' });
+    console.error('❌ Error searching transactions:', error);
+    res.status(500).json({ error: 'Failed to search transactions' });
   }
 });
 
 // NEW: Get transactions for manual review - SUPER FAST
+// Pending items plus snoozed ones whose snooze ran out; ?status=snoozed|ignored lists those instead.
 router.get('/transactions/manual-review', authenticateToken, async (req, res) => {
   try {
-    const query = `
-      SELECT transaction_data 
+    const status = req.query.status || 'pending';
+
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+
+    const query = status === 'pending' ? `
+      SELECT transaction_data, status, snoozed_until 
       FROM manual_review_transactions 
       WHERE user_id = $1 
+        AND (status = 'pending' OR (status = 'snoozed' AND snoozed_until <= CURRENT_TIMESTAMP))
+      ORDER BY created_at ASC
+    ` : `
+      SELECT transaction_data, status, snoozed_until 
+      FROM manual_review_transactions 
+      WHERE user_id = $1 AND status = $2
+        AND (status <> 'snoozed' OR snoozed_until > CURRENT_TIMESTAMP)
       ORDER BY created_at ASC
     `;
     
-    const result = await pool.query(query, [req.user_id]);
-    
-    const transactions = result.rows.map(row => row.transaction_data);
+    const result = await pool.query(query, status === 'pending' ? [req.user_id] : [req.user_id, status]);
+
+    // Pre-fill each one with what the user's history suggests
+    const model = await loadModel(req.user_id);
+    const transactions = result.rows.map(row => {
+      const prediction = predictCategory(model, row.transaction_data);
+      return {
+        ...row.transaction_data,
+        review_status: row.status,
+        snoozed_until: row.snoozed_until,
+        suggested_category: prediction ? prediction.category : null,
+        suggestion_confidence: prediction ? prediction.confidence : null
+      };
+    });
     
     console.log(`📋 Found ${transactions.length} transactions for manual review`);
     
@@ -406,73 +623,505 @@ router.get('/transactions/manual-review', authenticateToken, async (req, res) =>
       count: transactions.length
     });
   } catch (error) {
-    console.error('❌ Error fetching manual review transactions:', error);
-    res.status(500).json({ error: 'Failed to fetch manual review transactions' });
+    console.error('❌ Error fetching manual review transactions:', error);
+    res.status(500).json({ error: 'Failed to fetch manual review transactions' });
+  }
+});
+
+// Bulk review: categorize, ignore (exclude from budgets), snooze or restore many transactions
+// at once, picked by transaction_ids or by a { merchant, description } filter
+router.post('/transactions/bulk', authenticateToken, async (req, res) => {
+  try {
+    const validationError = validateBulkRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await applyBulkOperation(req.user_id, req.body);
+
+    if (result.action === 'categorize' && result.count > 0) {
+      try {
+        await evaluateBudgetAlerts(req.user_id, result.targets.map(target => ({ category: result.category.name, date: target.date })));
+      } catch (alertError) {
+        console.error('❌ Error evaluating budget alerts:', alertError.message);
+      }
+    }
+
+    res.json({
+      operation_id: result.operation_id,
+      action: result.action,
+      category: result.category ? result.category.name : null,
+      count: result.count,
+      transaction_ids: result.targets.map(target => target.transaction_id)
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error applying bulk operation:', error);
+    res.status(500).json({ error: 'Failed to apply bulk operation' });
+  }
+});
+
+// Undo the most recent bulk operation
+router.post('/transactions/bulk/undo', authenticateToken, async (req, res) => {
+  try {
+    const operation = await undoLastBulkOperation(req.user_id);
+    if (!operation) {
+      return res.status(404).json({ error: 'No bulk operation to undo' });
+    }
+
+    res.json({ undone: operation });
+  } catch (error) {
+    console.error('❌ Error undoing bulk operation:', error);
+    res.status(500).json({ error: 'Failed to undo bulk operation' });
+  }
+});
+
+// Add categorizations endpoint
+router.get('/categorizations', authenticateToken, async (req, res) => {
+  try {
+    // Create table if it doesn't exist
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS transaction_categorizations (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        transaction_id VARCHAR(255) NOT NULL,
+        category VARCHAR(100) NOT NULL,
+        plaid_data JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, transaction_id)
+      )
+    `);
+
+    const query = 'SELECT * FROM transaction_categorizations WHERE user_id = $1';
+    const result = await pool.query(query, [req.user_id]);
+    const splitsByTransaction = await loadSplitsByTransaction(req.user_id);
+
+    const categorizations = result.rows.map(row => ({
+      ...row,
+      splits: row.is_split ? (splitsByTransaction[row.transaction_id] || []) : null
+    }));
+    
+    res.json({ categorizations });
+  } catch (error) {
+    console.error('Error fetching categorizations:', error);
+    res.status(500).json({ error: 'Failed to fetch categorizations' });
+  }
+});
+
+// UPDATED: Categorize endpoint - removes from manual review.
+// Send splits: [{ category, amount }] instead of category to spread one transaction over several categories.
+router.post('/categorize', authenticateToken, async (req, res) => {
+  const { transaction_id, category, splits, plaid_data } = req.body;
+  const isSplit = Array.isArray(splits) && splits.length > 0;
+
+  if (!transaction_id || (!category && !isSplit)) {
+    return res.status(400).json({ error: 'transaction_id and a category or splits are required' });
+  }
+
+  const db = await pool.connect();
+  try {
+    const stored = await db.query(`
+      SELECT to_char(date, 'YYYY-MM-DD') AS date, COALESCE(merchant_name, name) AS merchant, amount
+      FROM transactions WHERE user_id = $1 AND transaction_id = $2
+    `, [req.user_id, transaction_id]);
+    const storedTx = stored.rows[0] || {};
+
+    if (isSplit) {
+      const validationError = validateSplits(splits, storedTx.amount ?? plaid_data?.amount);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    // Match what was sent against the user's categories, creating any new ones
+    const resolved = isSplit ? null : await resolveCategory(req.user_id, category);
+    const resolvedSplits = [];
+    for (const split of isSplit ? splits : []) {
+      const splitCategory = await resolveCategory(req.user_id, split.category);
+      resolvedSplits.push({ ...split, category: splitCategory.name, category_id: splitCategory.id });
+    }
+
+    await db.query('BEGIN');
+
+    // Add categorization
+    const categorizationQuery = `
+      INSERT INTO transaction_categorizations (user_id, transaction_id, category, category_id, plaid_data, is_split, source) 
+      VALUES ($1, $2, $3, $4, $5, $6, 'user')
+      ON CONFLICT (user_id, transaction_id) 
+      DO UPDATE SET category = $3, category_id = $4, plaid_data = $5, is_split = $6, source = 'user', created_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+    
+    const result = await db.query(categorizationQuery, [
+      req.user_id, 
+      transaction_id, 
+      isSplit ? SPLIT_CATEGORY : resolved.name, 
+      isSplit ? null : resolved.id,
+      JSON.stringify(plaid_data),
+      isSplit
+    ]);
+
+    // A plain categorization replaces any earlier split
+    const savedSplits = await saveSplits(db, req.user_id, transaction_id, resolvedSplits);
+    
+    // Remove from manual review table
+    await db.query(`
+      DELETE FROM manual_review_transactions 
+      WHERE user_id = $1 AND transaction_id = $2
+    `, [req.user_id, transaction_id]);
+
+    await db.query('COMMIT');
+    
+    console.log(isSplit
+      ? `✅ Split transaction ${transaction_id} into ${savedSplits.length} portions and removed from manual review`
+      : `✅ Categorized transaction ${transaction_id} as "${resolved.name}" and removed from manual review`);
+
+    const categories = isSplit ? savedSplits.map(split => split.category) : [resolved.name];
+
+    // The new category may have pushed its budget over a threshold
+    try {
+      const date = storedTx.date || plaid_data?.date;
+      await evaluateBudgetAlerts(req.user_id, categories.map(entry => ({ category: entry, date })));
+    } catch (alertError) {
+      console.error('❌ Error evaluating budget alerts:', alertError.message);
+    }
+
+    // Filing the same merchant the same way again and again is worth a rule
+    let ruleSuggestion = null;
+    if (!isSplit) {
+      try {
+        const merchant = storedTx.merchant || plaid_data?.merchant_name || plaid_data?.name;
+        ruleSuggestion = await suggestRuleFromHistory(req.user_id, merchant, resolved.name);
+      } catch (suggestionError) {
+        console.error('❌ Error suggesting categorization rule:', suggestionError.message);
+      }
+    }
+    
+    res.json({ 
+      success: true, 
+      categorization: { ...result.rows[0], splits: isSplit ? savedSplits : null },
+      rule_suggestion: ruleSuggestion
+    });
+  } catch (error) {
+    await db.query('ROLLBACK');
+    console.error('Error categorizing transaction:', error);
+    res.status(500).json({ error: 'Failed to categorize transaction' });
+  } finally {
+    db.release();
+  }
+});
+
+// Get categorization settings
+router.get('/categorization/settings', authenticateToken, async (req, res) => {
+  try {
+    const autoApplyConfidence = await loadAutoApplyConfidence(req.user_id);
+
+    res.json({ auto_apply_confidence: autoApplyConfidence });
+  } catch (error) {
+    console.error('❌ Error fetching categorization settings:', error);
+    res.status(500).json({ error: 'Failed to fetch categorization settings' });
+  }
+});
+
+// Set the confidence (0.5 - 1) above which suggested categories are applied automatically, null turns it off
+router.put('/categorization/settings', authenticateToken, async (req, res) => {
+  try {
+    const { auto_apply_confidence } = req.body;
+
+    if (auto_apply_confidence !== null &&
+        (typeof auto_apply_confidence !== 'number' || auto_apply_confidence < 0.5 || auto_apply_confidence > 1)) {
+      return res.status(400).json({ error: 'auto_apply_confidence must be a number between 0.5 and 1, or null' });
+    }
+
+    await pool.query(`
+      INSERT INTO categorization_settings (user_id, auto_apply_confidence)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id)
+      DO UPDATE SET auto_apply_confidence = $2, updated_at = CURRENT_TIMESTAMP
+    `, [req.user_id, auto_apply_confidence]);
+
+    res.json({ auto_apply_confidence });
+  } catch (error) {
+    console.error('❌ Error saving categorization settings:', error);
+    res.status(500).json({ error: 'Failed to save categorization settings' });
+  }
+});
+
+// Fields of a categorization rule, in column order
+const RULE_FIELDS = [
+  'name', 'priority', 'merchant_name', 'description_pattern', 'amount_min', 'amount_max',
+  'account_id', 'plaid_detailed_category', 'category', 'category_id', 'enabled'
+];
+
+const ruleValues = (rule) => RULE_FIELDS.map(field => {
+  const value = rule[field];
+  if (field === 'priority') return Number.isInteger(value) ? value : 100;
+  if (field === 'enabled') return value !== false;
+  return value === undefined || value === '' ? null : value;
+});
+
+// Rules always target one of the user's categories
+const withResolvedCategory = async (userId, rule) => {
+  const category = await resolveCategory(userId, rule.category);
+  return { ...rule, category: category.name, category_id: category.id };
+};
+
+const insertRule = async (userId, rule) => {
+  const result = await pool.query(`
+    INSERT INTO categorization_rules (user_id, ${RULE_FIELDS.join(', ')})
+    VALUES ($1, ${RULE_FIELDS.map((field, index) => `$${index + 2}`).join(', ')})
+    RETURNING *
+  `, [userId, ...ruleValues(await withResolvedCategory(userId, rule))]);
+
+  return result.rows[0];
+};
+
+// List categorization rules in the order they are applied
+router.get('/rules', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM categorization_rules WHERE user_id = $1 ORDER BY priority ASC, id ASC',
+      [req.user_id]
+    );
+
+    res.json({ rules: result.rows });
+  } catch (error) {
+    console.error('❌ Error fetching categorization rules:', error);
+    res.status(500).json({ error: 'Failed to fetch categorization rules' });
+  }
+});
+
+// Create a categorization rule
+router.post('/rules', authenticateToken, async (req, res) => {
+  try {
+    const validationError = validateRule(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const rule = await insertRule(req.user_id, req.body);
+
+    console.log(`📐 Created categorization rule ${rule.id} for user ${req.user_id}`);
+
+    res.status(201).json({ rule });
+  } catch (error) {
+    console.error('❌ Error creating categorization rule:', error);
+    res.status(500).json({ error: 'Failed to create categorization rule' });
+  }
+});
+
+// Dry run a rule (saved, by rule_id, or unsaved, in the body) against the user's transaction history
+router.post('/rules/dry-run', authenticateToken, async (req, res) => {
+  try {
+    let rule = req.body;
+
+    if (req.body.rule_id) {
+      const saved = await pool.query(
+        'SELECT * FROM categorization_rules WHERE id = $1 AND user_id = $2',
+        [req.body.rule_id, req.user_id]
+      );
+      if (saved.rows.length === 0) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      rule = saved.rows[0];
+    } else {
+      const validationError = validateRule(rule);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    const result = await dryRunRule(req.user_id, rule);
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error dry running categorization rule:', error);
+    res.status(500).json({ error: 'Failed to dry run categorization rule' });
+  }
+});
+
+// Set the priority of every listed rule from its position (first = highest priority)
+router.put('/rules/order', authenticateToken, async (req, res) => {
+  const { rule_ids } = req.body;
+
+  if (!Array.isArray(rule_ids) || rule_ids.length === 0 || rule_ids.some(id => !Number.isInteger(id))) {
+    return res.status(400).json({ error: 'rule_ids must be a list of rule ids' });
+  }
+
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+    for (const [index, ruleId] of rule_ids.entries()) {
+      await db.query(
+        'UPDATE categorization_rules SET priority = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND user_id = $3',
+        [(index + 1) * 10, ruleId, req.user_id]
+      );
+    }
+    await db.query('COMMIT');
+
+    const result = await pool.query(
+      'SELECT * FROM categorization_rules WHERE user_id = $1 ORDER BY priority ASC, id ASC',
+      [req.user_id]
+    );
+
+    res.json({ rules: result.rows });
+  } catch (error) {
+    await db.query('ROLLBACK');
+    console.error('❌ Error reordering categorization rules:', error);
+    res.status(500).json({ error: 'Failed to reorder categorization rules' });
+  } finally {
+    db.release();
+  }
+});
+
+// Suggested rules waiting for the user to accept or dismiss
+router.get('/rules/suggestions', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM categorization_rule_suggestions
+      WHERE user_id = $1 AND status = 'pending'
+      ORDER BY occurrences DESC, updated_at DESC
+    `, [req.user_id]);
+
+    res.json({ suggestions: result.rows });
+  } catch (error) {
+    console.error('❌ Error fetching rule suggestions:', error);
+    res.status(500).json({ error: 'Failed to fetch rule suggestions' });
+  }
+});
+
+// Accept (turn into a merchant rule) or dismiss a suggested rule
+router.post('/rules/suggestions/:suggestionId/:action', authenticateToken, async (req, res) => {
+  try {
+    const { suggestionId, action } = req.params;
+
+    if (!['accept', 'dismiss'].includes(action)) {
+      return res.status(404).json({ error: 'Unknown action' });
+    }
+
+    const result = await pool.query(`
+      UPDATE categorization_rule_suggestions
+      SET status = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND user_id = $3 AND status = 'pending'
+      RETURNING *
+    `, [action === 'accept' ? 'accepted' : 'dismissed', suggestionId, req.user_id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+
+    const suggestion = result.rows[0];
+    if (action === 'dismiss') {
+      return res.json({ suggestion });
+    }
+
+    const rule = await insertRule(req.user_id, {
+      name: `${suggestion.merchant_name} is ${suggestion.category}`,
+      merchant_name: suggestion.merchant_name,
+      category: suggestion.category
+    });
+
+    res.status(201).json({ suggestion, rule });
+  } catch (error) {
+    console.error('❌ Error resolving rule suggestion:', error);
+    res.status(500).json({ error: 'Failed to resolve rule suggestion' });
+  }
+});
+
+// Update a categorization rule
+router.put('/rules/:ruleId', authenticateToken, async (req, res) => {
+  try {
+    const existing = await pool.query(
+      'SELECT * FROM categorization_rules WHERE id = $1 AND user_id = $2',
+      [req.params.ruleId, req.user_id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const rule = { ...existing.rows[0], ...req.body };
+    const validationError = validateRule(rule);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await pool.query(`
+      UPDATE categorization_rules
+      SET ${RULE_FIELDS.map((field, index) => `${field} = $${index + 3}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, [req.params.ruleId, req.user_id, ...ruleValues(await withResolvedCategory(req.user_id, rule))]);
+
+    res.json({ rule: result.rows[0] });
+  } catch (error) {
+    console.error('❌ Error updating categorization rule:', error);
+    res.status(500).json({ error: 'Failed to update categorization rule' });
+  }
+});
+
+// Delete a categorization rule; transactions it already categorized keep their category
+router.delete('/rules/:ruleId', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM categorization_rules WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.ruleId, req.user_id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error deleting categorization rule:', error);
+    res.status(500).json({ error: 'Failed to delete categorization rule' });
   }
 });
 
-// Add categorizations endpoint
-router.get('/categorizations', authenticateToken, async (req, res) => {
+// Recurring income and subscriptions detected in stored transactions, with next expected
+// date and amount; ?include_hidden=true also returns streams marked as not recurring
+router.get('/recurring', authenticateToken, async (req, res) => {
   try {
-    // Create table if it doesn't exist
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS transaction_categorizations (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        transaction_id VARCHAR(255) NOT NULL,
-        category VARCHAR(100) NOT NULL,
-        plaid_data JSONB,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(user_id, transaction_id)
-      )
-    `);
-
-    const query = 'SELECT * FROM transaction_categorizations WHERE user_id = $1';
-    const result = await pool.query(query, [req.user_id]);
-    
-    res.json({ categorizations: result.rows });
+    await refreshRecurringStreams(req.user_id);
+    const streams = await loadRecurringStreams(req.user_id, { includeHidden: req.query.include_hidden === 'true' });
+
+    res.json({
+      income: streams.filter(stream => stream.direction === 'income'),
+      subscriptions: streams.filter(stream => stream.direction === 'expense'),
+      price_increases: streams.filter(stream => stream.price_increased && stream.status === 'active').length,
+      missed: streams.filter(stream => stream.missed && stream.status === 'active').length
+    });
   } catch (error) {
-    console.error('Error fetching categorizations:', error);
-    res.status(500).json({ error: 'Failed to fetch categorizations' });
+    console.error('❌ Error fetching recurring transactions:', error);
+    res.status(500).json({ error: 'Failed to fetch recurring transactions' });
   }
 });
 
-// UPDATED: Categorize endpoint - removes from manual review
-router.post('/categorize', authenticateToken, async (req, res) => {
+// Mark a recurring stream as cancelled, not recurring, or active again
+router.put('/recurring/:streamId', authenticateToken, async (req, res) => {
   try {
-    const { transaction_id, category, plaid_data } = req.body;
-    
-    // Add categorization
-    const categorizationQuery = `
-      INSERT INTO transaction_categorizations (user_id, transaction_id, category, plaid_data) 
-      VALUES ($1, $2, $3, $4)
-      ON CONFLICT (user_id, transaction_id) 
-      DO UPDATE SET category = $3, plaid_data = $4, created_at = CURRENT_TIMESTAMP
+    const { status } = req.body;
+
+    if (!STREAM_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${STREAM_STATUSES.join(', ')}` });
+    }
+
+    const result = await pool.query(`
+      UPDATE recurring_streams
+      SET status = $1, status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND user_id = $3
       RETURNING *
-    `;
-    
-    const result = await pool.query(categorizationQuery, [
-      req.user_id, 
-      transaction_id, 
-      category, 
-      JSON.stringify(plaid_data)
-    ]);
-    
-    // Remove from manual review table
-    await pool.query(`
-      DELETE FROM manual_review_transactions 
-      WHERE user_id = $1 AND transaction_id = $2
-    `, [req.user_id, transaction_id]);
-    
-    console.log(`✅ Categorized transaction ${transaction_id} as "${category}" and removed from manual review`);
-    
-    res.json({ 
-      success: true, 
-      categorization: result.rows[0] 
-    });
+    `, [status, req.params.streamId, req.user_id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Recurring stream not found' });
+    }
+
+    res.json({ stream: result.rows[0] });
   } catch (error) {
-    console.error('Error categorizing transaction:', error);
-    res.status(500).json({ error: 'Failed to categorize transaction' });
+    console.error('❌ Error updating recurring stream:', error);
+    res.status(500).json({ error: 'Failed to update recurring stream' });
   }
 });
 
@@ -480,28 +1129,69 @@ router.post('/categorize', authenticateToken, async (req, res) => {
 router.get('/banks', authenticateToken, async (req, res) => {
   try {
     console.log('🏦 Fetching connected banks for user:', req.user_id);
+
+    await expireDuplicateBanks(req.user_id);
     
     const query = `
-      SELECT 
-        id,
-        institution_name, 
-        created_at,
-        item_id
+      SELECT id, item_id, institution_id, institution_name, institution_logo, institution_color, institution_url,
+        institution_checked_at, status, error_code, created_at
       FROM user_banks 
-      WHERE user_id = $1 
+      WHERE user_id = $1 AND status IS DISTINCT FROM 'duplicate_pending'
       ORDER BY created_at DESC
     `;
     
     const result = await pool.query(query, [req.user_id]);
     
     console.log(`✅ Found ${result.rows.length} connected banks`);
+
+    // Banks linked before institution lookup existed get one try at filling in their metadata
+    const unchecked = result.rows.filter(row => !row.institution_id && !row.institution_checked_at);
+    for (const bank of unchecked) {
+      try {
+        await pool.query(
+          'UPDATE user_banks SET institution_checked_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [bank.id]
+        );
+
+        const tokenRow = await pool.query(
+          'SELECT id, item_id, access_token_ciphertext, wrapped_data_key, token_key_id FROM user_banks WHERE id = $1',
+          [bank.id]
+        );
+        const institution = await fetchInstitution(getAccessToken(tokenRow.rows[0]));
+        if (institution) {
+          await saveInstitution(bank.id, institution);
+          bank.institution_name = institution.name;
+          bank.institution_logo = institution.logo;
+          bank.institution_color = institution.primary_color;
+          bank.institution_url = institution.url;
+        }
+      } catch (error) {
+        console.error(`❌ Error looking up institution for bank ${bank.id}:`, error.message);
+      }
+    }
+
+    const accountsResult = await pool.query(`
+      SELECT bank_id, account_id, name, official_name, mask, type, subtype
+      FROM bank_accounts
+      WHERE user_id = $1
+      ORDER BY name
+    `, [req.user_id]);
     
     res.json({ 
       banks: result.rows.map(bank => ({
         id: bank.id,
         institution_name: bank.institution_name || 'Connected Bank',
+        institution_logo: bank.institution_logo || null,
+        institution_color: bank.institution_color || null,
+        institution_url: bank.institution_url || null,
         created_at: bank.created_at,
-        item_id: bank.item_id
+        item_id: bank.item_id,
+        status: bank.status || 'active',
+        error_code: bank.error_code || null,
+        needs_reconnect: bank.status === 'login_required',
+        accounts: accountsResult.rows
+          .filter(account => account.bank_id === bank.id)
+          .map(({ bank_id, ...account }) => account)
       }))
     });
   } catch (error) {
@@ -515,11 +1205,11 @@ router.get('/accounts', authenticateToken, async (req, res) => {
   try {
     console.log('🏦 Fetching accounts for user:', req.user_id);
     
-    const banksQuery = 'SELECT * FROM user_banks WHERE user_id = $1';
+    const banksQuery = "SELECT * FROM user_banks WHERE user_id = $1 AND status IS DISTINCT FROM 'duplicate_pending'";
     const banksResult = await pool.query(banksQuery, [req.user_id]);
     
     if (banksResult.rows.length === 0) {
-      return res.json({ accounts: [], banks: [] });
+      return res.json({ accounts: [], banks: [], bank_errors: [] });
     }
 
     let allAccounts = [];
@@ -531,7 +1221,7 @@ router.get('/accounts', authenticateToken, async (req, res) => {
         console.log(`🏦 Fetching accounts for bank ID: ${bank.id}`);
         
         const accountsResponse = await client.accountsGet({ 
-          access_token: bank.access_token 
+          access_token: getAccessToken(bank) 
         });
         
         console.log(`✅ Found ${accountsResponse.data.accounts.length} accounts for bank ${bank.id}`);
@@ -545,6 +1235,7 @@ router.get('/accounts', authenticateToken, async (req, res) => {
         }));
         
         allAccounts = allAccounts.concat(accountsWithBank);
+        await saveAccounts(bank, accountsResponse.data.accounts);
         
         bankSummary.push({
           bank_id: bank.id,
@@ -552,6 +1243,8 @@ router.get('/accounts', authenticateToken, async (req, res) => {
           account_count: accountsResponse.data.accounts.length,
           item_id: bank.item_id
         });
+
+        await clearBankError(bank);
         
         // DEBUG: Log account details for this bank
         console.log(`  Accounts for ${bank.institution_name}:`);
@@ -563,6 +1256,7 @@ router.get('/accounts', authenticateToken, async (req, res) => {
         
       } catch (error) {
         console.error(`❌ Error fetching accounts for bank ${bank.id}:`, error.message);
+        await recordBankError(bank, error);
       }
     }
 
@@ -572,6 +1266,7 @@ router.get('/accounts', authenticateToken, async (req, res) => {
     res.json({ 
       accounts: allAccounts,
       banks: bankSummary,
+      bank_errors: await loadBankErrors(req.user_id),
       total_accounts: allAccounts.length,
       total_banks: banksResult.rows.length
     });
@@ -586,12 +1281,12 @@ router.get('/holdings', authenticateToken, async (req, res) => {
   try {
     console.log('📈 Fetching holdings for user:', req.user_id);
     
-    const banksQuery = 'SELECT * FROM user_banks WHERE user_id = $1';
+    const banksQuery = "SELECT * FROM user_banks WHERE user_id = $1 AND status IS DISTINCT FROM 'duplicate_pending'";
     const banksResult = await pool.query(banksQuery, [req.user_id]);
     
     if (banksResult.rows.length === 0) {
       console.log('❌ No banks found for user');
-      return res.json({ holdings: [], securities: [], total_holdings: 0, total_securities: 0 });
+      return res.json({ holdings: [], securities: [], bank_errors: [], total_holdings: 0, total_securities: 0 });
     }
 
     console.log(`🏦 Found ${banksResult.rows.length} banks for user`);
@@ -603,14 +1298,15 @@ router.get('/holdings', authenticateToken, async (req, res) => {
     for (const bank of banksResult.rows) {
       try {
         console.log(`📈 Fetching holdings for bank ID: ${bank.id} (${bank.institution_name})`);
-        console.log(`🔑 Access token: ${bank.access_token ? 'Present' : 'Missing'}`);
+        console.log(`🔑 Access token: ${bank.access_token_ciphertext ? 'Present' : 'Missing'}`);
         
         // First check if this bank has investment accounts
         const accountsResponse = await client.accountsGet({ 
-          access_token: bank.access_token 
+          access_token: getAccessToken(bank) 
         });
         
         console.log(`🏦 Found ${accountsResponse.data.accounts.length} total accounts for bank ${bank.id}`);
+        await clearBankError(bank);
         
         const investmentAccounts = accountsResponse.data.accounts.filter(account => 
           account.type === 'investment' || account.subtype === 'brokerage'
@@ -632,7 +1328,7 @@ router.get('/holdings', authenticateToken, async (req, res) => {
         console.log(`🔍 Calling Plaid investmentsHoldingsGet for bank ${bank.id}...`);
         
         const holdingsResponse = await client.investmentsHoldingsGet({
-          access_token: bank.access_token
+          access_token: getAccessToken(bank)
         });
         
         console.log(`✅ Plaid response for bank ${bank.id}:`, {
@@ -664,6 +1360,9 @@ router.get('/holdings', authenticateToken, async (req, res) => {
         });
         
         allHoldings = allHoldings.concat(holdingsWithInfo);
+
+        // Every fetch doubles as today's holdings snapshot for portfolio performance
+        await saveHoldingsSnapshot(bank, holdingsResponse.data);
         
         // Add securities info (avoid duplicates)
         (holdingsResponse.data.securities || []).forEach(security => {
@@ -690,17 +1389,40 @@ router.get('/holdings', authenticateToken, async (req, res) => {
           stack: error.stack?.split('\n')[0],
           plaid_error: error.response?.data || 'No Plaid error details'
         });
+        await recordBankError(bank, error);
         // Continue with other banks even if one fails
       }
     }
 
     console.log(`📊 Final results - Holdings: ${allHoldings.length}, Securities: ${allSecurities.length}`);
 
+    // ?prices=true - value each holding at a current market price instead of the institution's
+    let prices;
+    if (req.query.prices === 'true') {
+      const symbols = [...new Set(allSecurities
+        .filter(security => security.ticker_symbol && !security.is_cash_equivalent)
+        .map(security => security.ticker_symbol.toUpperCase()))];
+      const { quotes, missing, invalid } = await getQuotes(symbols.slice(0, MAX_PRICED_SYMBOLS));
+
+      allHoldings = allHoldings.map(holding => {
+        const security = allSecurities.find(s => s.security_id === holding.security_id);
+        const quote = security?.ticker_symbol ? quotes[security.ticker_symbol.toUpperCase()] : null;
+        return {
+          ...holding,
+          current_price: quote || null,
+          current_value: quote ? Math.round(holding.quantity * quote.price * 100) / 100 : null
+        };
+      });
+      prices = { missing, invalid, skipped: symbols.slice(MAX_PRICED_SYMBOLS) };
+    }
+
     res.json({ 
       holdings: allHoldings,
       securities: allSecurities,
+      bank_errors: await loadBankErrors(req.user_id),
       total_holdings: allHoldings.length,
-      total_securities: allSecurities.length
+      total_securities: allSecurities.length,
+      prices
     });
   } catch (error) {
     console.error('❌ Error in holdings endpoint:', {
@@ -711,8 +1433,104 @@ router.get('/holdings', authenticateToken, async (req, res) => {
   }
 });
 
+// Called by the frontend after Link succeeds in update mode - confirm with Plaid and clear the error
+router.post('/banks/:bankId/reconnected', authenticateToken, async (req, res) => {
+  try {
+    const { bankId } = req.params;
+
+    const bankResult = await pool.query(
+      'SELECT * FROM user_banks WHERE id = $1 AND user_id = $2',
+      [bankId, req.user_id]
+    );
+
+    if (bankResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Bank connection not found' });
+    }
+
+    const bank = bankResult.rows[0];
+    const itemResponse = await client.itemGet({ access_token: getAccessToken(bank) });
+    const itemError = itemResponse.data.item.error;
+
+    if (itemError) {
+      await setBankStatus(bank, 'login_required', itemError.error_code);
+    } else {
+      await setBankStatus(bank, 'active');
+    }
+
+    console.log(`🔗 Bank ${bankId} reconnect checked: ${bank.status}`);
+
+    res.json({
+      success: !itemError,
+      bank_id: bank.id,
+      status: bank.status,
+      error_code: bank.error_code,
+      needs_reconnect: bank.status === 'login_required'
+    });
+  } catch (error) {
+    console.error('❌ Error confirming bank reconnect:', error);
+    res.status(500).json({ error: 'Failed to confirm bank reconnect' });
+  }
+});
+
+// Resolve a duplicate link: "replace" keeps the new item and removes the old ones, "abort" removes the new item
+router.post('/banks/:bankId/resolve-duplicate', authenticateToken, requireTwoFactorForBanks, async (req, res) => {
+  try {
+    const { bankId } = req.params;
+    const { action } = req.body;
+
+    if (!['replace', 'abort'].includes(action)) {
+      return res.status(400).json({ error: 'Action must be "replace" or "abort"' });
+    }
+
+    await expireDuplicateBanks(req.user_id);
+
+    const bankResult = await pool.query(
+      "SELECT * FROM user_banks WHERE id = $1 AND user_id = $2 AND status = 'duplicate_pending'",
+      [bankId, req.user_id]
+    );
+
+    if (bankResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Pending bank connection not found' });
+    }
+
+    const bank = bankResult.rows[0];
+
+    if (action === 'abort') {
+      await removeBankConnection(bank);
+      console.log(`🗑️ Aborted duplicate bank ${bank.id}`);
+      return res.json({ success: true, action, removed_bank_ids: [bank.id] });
+    }
+
+    const accessToken = getAccessToken(bank);
+    const accountsResponse = await client.accountsGet({ access_token: accessToken });
+    const accounts = accountsResponse.data.accounts;
+    const duplicates = await findDuplicateBanks(bank, bank.institution_id, accounts);
+
+    for (const duplicate of duplicates) {
+      const oldBankResult = await pool.query('SELECT * FROM user_banks WHERE id = $1', [duplicate.id]);
+      await removeBankConnection(oldBankResult.rows[0]);
+    }
+
+    await saveAccounts(bank, accounts);
+    await setBankStatus(bank, 'active');
+
+    console.log(`🔁 Bank ${bank.id} replaced banks:`, duplicates.map(dup => dup.id));
+
+    res.json({
+      success: true,
+      action,
+      bank_id: bank.id,
+      removed_bank_ids: duplicates.map(dup => dup.id),
+      accounts: accounts.length
+    });
+  } catch (error) {
+    console.error('❌ Error resolving duplicate bank:', error);
+    res.status(500).json({ error: 'Failed to resolve duplicate bank' });
+  }
+});
+
 // Disconnect/delete bank connection
-router.delete('/banks/:bankId', authenticateToken, async (req, res) => {
+router.delete('/banks/:bankId', authenticateToken, requireTwoFactorForBanks, async (req, res) => {
   try {
     const { bankId } = req.params;
     console.log(`🗑️ Disconnecting bank ${bankId} for user ${req.user_id}`);
@@ -725,20 +1543,8 @@ router.delete('/banks/:bankId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Bank connection not found' });
     }
     
-    const bank = bankResult.rows[0];
-    
-    try {
-      // Remove item from Plaid (optional - will automatically clean up)
-      await client.itemRemove({
-        access_token: bank.access_token
-      });
-      console.log('✅ Removed item from Plaid');
-    } catch (plaidError) {
-      console.log('⚠️ Could not remove from Plaid (item may already be removed):', plaidError.message);
-    }
-    
-    // Remove from database
-    await pool.query('DELETE FROM user_banks WHERE id = $1 AND user_id = $2', [bankId, req.user_id]);
+    // Remove from Plaid and the database
+    await removeBankConnection(bankResult.rows[0]);
     
     console.log(`✅ Bank ${bankId} disconnected successfully`);
     
@@ -752,128 +1558,107 @@ router.delete('/banks/:bankId', authenticateToken, async (req, res) => {
   }
 });
 
-// Add this new endpoint to get current stock prices
-router.get('/current-prices/:symbols', authenticateToken, async (req, res) => {
+// Portfolio analytics: market value, cost basis, unrealized gains and weights per holding and
+// account, allocation by security type, sector and currency, and time-weighted performance from
+// the stored holdings snapshots and investment transactions.
+// ?prices=false values holdings at the institution's prices, ?from= / ?to= bound the performance
+// period (YYYY-MM-DD, default the last year), ?refresh=false skips asking Plaid for fresh data
+router.get('/investments/analytics', authenticateToken, async (req, res) => {
   try {
-    const symbols = req.params.symbols.split(',');
-    const currentPrices = {};
-    
-    for (const symbol of symbols) {
-      try {
-        // Using Yahoo Finance API (free, no key required)
-        const response = await fetch(
-          `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}`
-        );
-        const data = await response.json();
-        
-        if (data.chart?.result?.[0]?.meta?.regularMarketPrice) {
-          const price = data.chart.result[0].meta.regularMarketPrice;
-          const previousClose = data.chart.result[0].meta.previousClose;
-          const change = price - previousClose;
-          const changePercent = ((change / previousClose) * 100).toFixed(2);
-          
-          currentPrices[symbol] = {
-            price: price,
-            change: change,
-            changePercent: `${changePercent}%`,
-            previousClose: previousClose
-          };
-          
-          console.log(`📈 ${symbol}: $${price} (${changePercent >= 0 ? '+' : ''}${changePercent}%)`);
-        } else {
-          console.log(`⚠️ No price data found for ${symbol}`);
-        }
-      } catch (error) {
-        console.error(`❌ Error fetching price for ${symbol}:`, error);
-      }
+    const to = req.query.to || new Date().toISOString().slice(0, 10);
+    if (!isValidDate(to)) {
+      return res.status(400).json({ error: 'to must be a YYYY-MM-DD date' });
     }
-    
-    console.log('📊 Final current prices:', currentPrices);
-    res.json({ currentPrices });
+    const from = req.query.from || new Date(Date.parse(to) - 365 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if (!isValidDate(from) || from > to) {
+      return res.status(400).json({ error: 'from must be a YYYY-MM-DD date before to' });
+    }
+
+    if (req.query.refresh !== 'false') {
+      // Banks that fail keep serving their last snapshot
+      await refreshInvestments(req.user_id);
+    }
+
+    const rows = await loadLatestHoldings(req.user_id);
+
+    let quotes = {};
+    let prices = null;
+    if (req.query.prices !== 'false') {
+      const symbols = [...new Set(rows
+        .filter(row => row.ticker_symbol && !row.is_cash_equivalent)
+        .map(row => row.ticker_symbol.toUpperCase()))];
+      const priced = await getQuotes(symbols.slice(0, MAX_PRICED_SYMBOLS));
+      quotes = priced.quotes;
+      prices = { missing: priced.missing, invalid: priced.invalid, skipped: symbols.slice(MAX_PRICED_SYMBOLS) };
+    }
+
+    const portfolio = buildPortfolio(rows, quotes);
+    const performance = computePerformance(
+      await loadHoldingsHistory(req.user_id, { from, to }),
+      await loadInvestmentTransactions(req.user_id, { from, to }),
+      { from, to }
+    );
+
+    res.json({
+      ...portfolio,
+      performance,
+      prices,
+      bank_errors: await loadBankErrors(req.user_id)
+    });
   } catch (error) {
-    console.error('Error fetching current prices:', error);
-    res.status(500).json({ error: 'Failed to fetch current prices' });
+    console.error('❌ Error building portfolio analytics:', error);
+    res.status(500).json({ error: 'Failed to build portfolio analytics' });
   }
 });
 
-// Get liabilities (minimum payments, due dates, etc.)
-router.get('/liabilities', authenticateToken, async (req, res) => {
+// Current prices for comma separated symbols, from the price cache or the configured provider.
+// ?max_age= seconds a cached price may be before it is refreshed (default the cache TTL, at least 60)
+router.get('/current-prices/:symbols', authenticateToken, async (req, res) => {
   try {
-    console.log('💳 Fetching liabilities for user:', req.user_id);
-    
-    // Get all access tokens for the user
-    const banksQuery = 'SELECT * FROM connected_banks WHERE user_id = $1';
-    const banksResult = await pool.query(banksQuery, [req.user_id]);
-    
-    if (banksResult.rows.length === 0) {
-      return res.json({ liabilities: { credit: [], mortgage: [], student: [] } });
+    const maxAgeSeconds = req.query.max_age === undefined ? CACHE_TTL_SECONDS : parseInt(req.query.max_age, 10);
+    if (!(maxAgeSeconds >= 0)) {
+      return res.status(400).json({ error: 'max_age must be zero or more seconds' });
     }
 
-    let allLiabilities = {
-      credit: [],
-      mortgage: [],
-      student: []
-    };
+    const { quotes, missing, invalid } = await getQuotes(req.params.symbols.split(','), { maxAgeSeconds });
 
-    // Fetch liabilities from each connected bank
-    for (const bank of banksResult.rows) {
-      try {
-        console.log(`💰 Fetching liabilities for bank ${bank.institution_name}...`);
-        
-        const liabilitiesRequest = {
-          access_token: bank.access_token,
-        };
+    // price / change / changePercent / previousClose are kept for existing clients
+    const currentPrices = {};
+    Object.entries(quotes).forEach(([symbol, quote]) => {
+      currentPrices[symbol] = {
+        ...quote,
+        changePercent: quote.change_percent !== null ? `${quote.change_percent.toFixed(2)}%` : null,
+        previousClose: quote.previous_close
+      };
+    });
 
-        const response = await client.liabilitiesGet(liabilitiesRequest);
-        const liabilities = response.data.liabilities;
-        
-        console.log(`💳 Liabilities found:`, {
-          credit: liabilities.credit?.length || 0,
-          mortgage: liabilities.mortgage?.length || 0,
-          student: liabilities.student?.length || 0
-        });
+    console.log(`📈 Priced ${Object.keys(quotes).length} symbols (${missing.length} missing, ${invalid.length} rejected)`);
+    res.json({ currentPrices, missing, invalid });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching current prices:', error);
+    res.status(500).json({ error: 'Failed to fetch current prices' });
+  }
+});
 
-        // Merge liabilities from this bank
-        if (liabilities.credit) {
-          allLiabilities.credit.push(...liabilities.credit.map(credit => ({
-            ...credit,
-            bank_name: bank.institution_name,
-            bank_id: bank.id
-          })));
-        }
-        
-        if (liabilities.mortgage) {
-          allLiabilities.mortgage.push(...liabilities.mortgage.map(mortgage => ({
-            ...mortgage,
-            bank_name: bank.institution_name,
-            bank_id: bank.id
-          })));
-        }
-        
-        if (liabilities.student) {
-          allLiabilities.student.push(...liabilities.student.map(student => ({
-            ...student,
-            bank_name: bank.institution_name,
-            bank_id: bank.id
-          })));
-        }
+// Get liabilities (credit cards, mortgages, student loans), refreshed from Plaid and stored per account
+router.get('/liabilities', authenticateToken, async (req, res) => {
+  try {
+    console.log('💳 Fetching liabilities for user:', req.user_id);
 
-      } catch (error) {
-        console.error(`❌ Error fetching liabilities for bank ${bank.id}:`, {
-          message: error.message,
-          plaid_error: error.response?.data || 'No Plaid error details'
-        });
-        // Continue with other banks even if one fails
-      }
-    }
+    // Banks that fail keep serving their last stored liabilities
+    await refreshLiabilities(req.user_id);
+    const { grouped } = await loadLiabilities(req.user_id);
 
     console.log(`📊 Final liabilities summary:`, {
-      credit: allLiabilities.credit.length,
-      mortgage: allLiabilities.mortgage.length,
-      student: allLiabilities.student.length
+      credit: grouped.credit.length,
+      mortgage: grouped.mortgage.length,
+      student: grouped.student.length
     });
 
-    res.json({ liabilities: allLiabilities });
+    res.json({ liabilities: grouped, bank_errors: await loadBankErrors(req.user_id) });
 
   } catch (error) {
     console.error('❌ Error in liabilities endpoint:', error);
@@ -884,4 +1669,178 @@ router.get('/liabilities', authenticateToken, async (req, res) => {
   }
 });
 
+// Upcoming minimum payments, statement dates and overdue payments from the stored liabilities.
+// ?days= how far ahead to look (default 60), ?format=ics for an iCalendar file
+router.get('/liabilities/calendar', authenticateToken, async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 60 : parseInt(req.query.days, 10);
+    if (!(days >= 1 && days <= 366)) {
+      return res.status(400).json({ error: 'days must be between 1 and 366' });
+    }
+
+    const { rows } = await loadLiabilities(req.user_id);
+    const events = buildPaymentCalendar(rows, { days });
+
+    if (req.query.format === 'ics') {
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="debt-payments.ics"');
+      return res.send(toICalendar(events));
+    }
+
+    res.json({
+      events,
+      overdue: events.filter(event => event.overdue).length
+    });
+  } catch (error) {
+    console.error('❌ Error building liabilities calendar:', error);
+    res.status(500).json({ error: 'Failed to build liabilities calendar' });
+  }
+});
+
+// Create (or replace) the secret URL calendar apps can subscribe to; the old URL stops working
+router.post('/liabilities/calendar/feed', authenticateToken, async (req, res) => {
+  try {
+    const token = await createCalendarFeedToken(req.user_id);
+
+    res.json({ url: `${req.protocol}://${req.get('host')}${req.baseUrl}/liabilities/calendar.ics?token=${token}` });
+  } catch (error) {
+    console.error('❌ Error creating calendar feed:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+// The iCalendar feed itself - calendar apps can't send a bearer token, so the secret URL is the auth
+router.get('/liabilities/calendar.ics', async (req, res) => {
+  try {
+    const userId = await findCalendarFeedUser(req.query.token);
+    if (!userId) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const { rows } = await loadLiabilities(userId);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(toICalendar(buildPaymentCalendar(rows, { days: 180 })));
+  } catch (error) {
+    console.error('❌ Error serving calendar feed:', error);
+    res.status(500).json({ error: 'Failed to serve calendar feed' });
+  }
+});
+
+// Simulate a plan and the strategies side by side, from a request body or a saved plan
+const runPayoffPlan = async (userId, { monthly_budget, strategy = 'avalanche', custom_order = [], overrides = [] }) => {
+  const debts = await loadDebts(userId, overrides, custom_order);
+  const options = { monthlyBudget: parseFloat(monthly_budget), customOrder: custom_order };
+
+  return {
+    debts,
+    plan: simulatePayoff(debts, { ...options, strategy }),
+    comparison: compareStrategies(debts, options)
+  };
+};
+
+// Simulate paying down the stored liabilities with a monthly budget, without saving anything.
+// Body: { monthly_budget, strategy: avalanche|snowball|custom, custom_order: [liability ids],
+//         overrides: [{ liability_id, balance, apr, minimum_payment, exclude }] }
+router.post('/liabilities/payoff-plan/simulate', authenticateToken, async (req, res) => {
+  try {
+    const validationError = validatePlanRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { debts, plan, comparison } = await runPayoffPlan(req.user_id, req.body);
+    if (debts.length === 0) {
+      return res.status(404).json({ error: 'No liabilities with a balance to pay off' });
+    }
+
+    res.json({ plan, comparison });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error simulating payoff plan:', error);
+    res.status(500).json({ error: 'Failed to simulate payoff plan' });
+  }
+});
+
+// The saved plan, re-simulated against the latest stored balances
+router.get('/liabilities/payoff-plan', authenticateToken, async (req, res) => {
+  try {
+    const saved = await loadDebtPlan(req.user_id);
+    if (!saved) {
+      return res.status(404).json({ error: 'No payoff plan saved' });
+    }
+
+    const request = {
+      monthly_budget: saved.monthly_budget,
+      strategy: saved.strategy,
+      custom_order: saved.custom_order || [],
+      overrides: saved.overrides || []
+    };
+
+    let simulation = null;
+    let simulationError = null;
+    try {
+      simulation = await runPayoffPlan(req.user_id, request);
+    } catch (error) {
+      // Minimum payments can outgrow the saved budget, the plan is still returned so it can be edited
+      if (error.status !== 400) throw error;
+      simulationError = error.message;
+    }
+
+    res.json({
+      saved_plan: { ...request, monthly_budget: parseFloat(saved.monthly_budget), summary: saved.summary, updated_at: saved.updated_at },
+      plan: simulation?.plan || null,
+      comparison: simulation?.comparison || null,
+      error: simulationError
+    });
+  } catch (error) {
+    console.error('❌ Error fetching payoff plan:', error);
+    res.status(500).json({ error: 'Failed to fetch payoff plan' });
+  }
+});
+
+// Save a plan; its monthly budget shows up as a line in the budget summary
+router.put('/liabilities/payoff-plan', authenticateToken, async (req, res) => {
+  try {
+    const validationError = validatePlanRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { strategy = 'avalanche', custom_order = [], overrides = [] } = req.body;
+    const monthlyBudget = parseFloat(req.body.monthly_budget);
+    const { debts, plan, comparison } = await runPayoffPlan(req.user_id, req.body);
+    if (debts.length === 0) {
+      return res.status(404).json({ error: 'No liabilities with a balance to pay off' });
+    }
+
+    const saved = await saveDebtPlan(req.user_id, { monthlyBudget, strategy, customOrder: custom_order, overrides, result: plan });
+    console.log(`💾 Saved ${strategy} payoff plan for user ${req.user_id}: $${monthlyBudget}/month, ${plan.months ?? 'never'} months`);
+
+    res.json({ saved_plan: saved, plan, comparison });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error saving payoff plan:', error);
+    res.status(500).json({ error: 'Failed to save payoff plan' });
+  }
+});
+
+router.delete('/liabilities/payoff-plan', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM debt_payoff_plans WHERE user_id = $1', [req.user_id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'No payoff plan saved' });
+    }
+
+    res.json({ message: 'Payoff plan deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting payoff plan:', error);
+    res.status(500).json({ error: 'Failed to delete payoff plan' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
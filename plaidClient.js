@@ -0,0 +1,26 @@
+const { Configuration, PlaidApi, PlaidEnvironments } = require('plaid');
+
+// DEBUG: Log Plaid version and environment
+console.log('🔍 Plaid Environment:', process.env.PLAID_ENV || 'sandbox');
+console.log('🔍 Plaid Client ID:', process.env.PLAID_CLIENT_ID ? 'Set' : 'Not set');
+console.log('🔍 Plaid Secret:', process.env.PLAID_SECRET ? 'Set' : 'Not set');
+
+// Initialize Plaid client (shared by the routes and the sync engine)
+const configuration = new Configuration({
+  basePath: PlaidEnvironments[process.env.PLAID_ENV || 'sandbox'],
+  baseOptions: {
+    headers: {
+      'PLAID-CLIENT-ID': process.env.PLAID_CLIENT_ID,
+      'PLAID-SECRET': process.env.PLAID_SECRET,
+    },
+  },
+});
+
+const client = new PlaidApi(configuration);
+
+// DEBUG: Log available methods on client
+console.log('🔍 Client constructor name:', client.constructor.name);
+console.log('🔍 Available client methods:', Object.getOwnPropertyNames(client));
+console.log('🔍 Available prototype methods:', Object.getOwnPropertyNames(Object.getPrototypeOf(client)));
+
+module.exports = client;
\ No newline at end of file
@@ -0,0 +1,115 @@
+// Local stand-in for Plaid's webhook sender, for exercising POST /api/plaid/webhook without Plaid.
+//
+//   node plaidWebhookStandIn.js keygen
+//     Prints a signing key pair. Export PLAID_WEBHOOK_ALLOW_LOCAL_KEY=true and PLAID_WEBHOOK_LOCAL_JWK
+//     for the API server (ignored in production) and PLAID_WEBHOOK_LOCAL_PRIVATE_JWK for this script.
+//
+//   node plaidWebhookStandIn.js <sample> <item_id> [url]
+//     Signs a sample payload the way Plaid does and posts it (default url: http://localhost:5000/api/plaid/webhook).
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_URL = 'http://localhost:5000/api/plaid/webhook';
+
+const SAMPLE_PAYLOADS = {
+  sync_updates: {
+    webhook_type: 'TRANSACTIONS',
+    webhook_code: 'SYNC_UPDATES_AVAILABLE',
+    initial_update_complete: true,
+    historical_update_complete: true
+  },
+  login_required: {
+    webhook_type: 'ITEM',
+    webhook_code: 'ERROR',
+    error: {
+      error_type: 'ITEM_ERROR',
+      error_code: 'ITEM_LOGIN_REQUIRED',
+      error_message: 'the login details of this item have changed (credentials, MFA, or required user action) and a user login is required to update this information.'
+    }
+  },
+  pending_expiration: {
+    webhook_type: 'ITEM',
+    webhook_code: 'PENDING_EXPIRATION',
+    consent_expiration_time: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
+  },
+  login_repaired: {
+    webhook_type: 'ITEM',
+    webhook_code: 'LOGIN_REPAIRED'
+  },
+  holdings: {
+    webhook_type: 'HOLDINGS',
+    webhook_code: 'DEFAULT_UPDATE',
+    new_holdings: 1,
+    updated_holdings: 2
+  },
+  investments_transactions: {
+    webhook_type: 'INVESTMENTS_TRANSACTIONS',
+    webhook_code: 'DEFAULT_UPDATE',
+    new_investments_transactions: 1,
+    canceled_investments_transactions: 0
+  },
+  liabilities: {
+    webhook_type: 'LIABILITIES',
+    webhook_code: 'DEFAULT_UPDATE',
+    account_ids_with_new_liabilities: [],
+    account_ids_with_updated_liabilities: {}
+  }
+};
+
+const keygen = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const kid = `local-${crypto.randomBytes(8).toString('hex')}`;
+
+  const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid, alg: 'ES256', use: 'sig' };
+  const privateJwk = { ...privateKey.export({ format: 'jwk' }), kid };
+
+  console.log('PLAID_WEBHOOK_ALLOW_LOCAL_KEY=true');
+  console.log(`PLAID_WEBHOOK_LOCAL_JWK='${JSON.stringify(publicJwk)}'`);
+  console.log(`PLAID_WEBHOOK_LOCAL_PRIVATE_JWK='${JSON.stringify(privateJwk)}'`);
+};
+
+const send = async (sampleName, itemId, url = DEFAULT_URL) => {
+  const sample = SAMPLE_PAYLOADS[sampleName];
+  if (!sample || !itemId) {
+    console.error(`Usage: node plaidWebhookStandIn.js <${Object.keys(SAMPLE_PAYLOADS).join('|')}> <item_id> [url]`);
+    process.exit(1);
+  }
+
+  if (!process.env.PLAID_WEBHOOK_LOCAL_PRIVATE_JWK) {
+    console.error('PLAID_WEBHOOK_LOCAL_PRIVATE_JWK is not set, run "node plaidWebhookStandIn.js keygen" first');
+    process.exit(1);
+  }
+
+  const privateJwk = JSON.parse(process.env.PLAID_WEBHOOK_LOCAL_PRIVATE_JWK);
+  const privateKey = crypto.createPrivateKey({ key: privateJwk, format: 'jwk' });
+
+  const body = JSON.stringify({ ...sample, item_id: itemId, environment: 'sandbox' });
+  const signature = jwt.sign(
+    { request_body_sha256: crypto.createHash('sha256').update(body).digest('hex') },
+    privateKey,
+    { algorithm: 'ES256', keyid: privateJwk.kid }
+  );
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Plaid-Verification': signature
+    },
+    body
+  });
+
+  console.log(`📬 ${sample.webhook_type}/${sample.webhook_code} -> ${response.status}`, await response.text());
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+if (command === 'keygen') {
+  keygen();
+} else {
+  send(command, ...args).catch(error => {
+    console.error('❌ Failed to send webhook:', error.message);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const client = require('./plaidClient');
+const { syncBankTransactions } = require('./transactionSync');
+const { processTransactionsForCategorization } = require('./categorization');
+const { setBankStatus, recordBankError } = require('./bankStatus');
+const { refreshBankLiabilities } = require('./liabilities');
+const { refreshBankInvestments } = require('./investments');
+
+// Plaid rejects webhooks older than five minutes, so do we
+const MAX_WEBHOOK_AGE = '5m';
+
+// Verification keys fetched from Plaid, keyed by kid, and how long one is trusted before it is
+// fetched again so a key Plaid has since expired stops verifying
+const verificationKeyCache = {};
+const KEY_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Ensure the tables and columns used by webhook handlers exist
+const ensureWebhookTables = async () => {
+  try {
+    // Connection health, set by ITEM webhooks and cleared once the user repairs the login
+    await pool.query(`
+      ALTER TABLE user_banks
+        ADD COLUMN IF NOT EXISTS status VARCHAR(30) DEFAULT 'active',
+        ADD COLUMN IF NOT EXISTS error_code VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS consent_expires_at TIMESTAMP
+    `);
+
+    // Queue of things to tell the user about, drained by whatever delivers notifications
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        bank_id INTEGER REFERENCES user_banks(id) ON DELETE CASCADE,
+        type VARCHAR(100) NOT NULL,
+        message TEXT NOT NULL,
+        payload JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id)
+    `);
+
+    console.log('✅ Webhook tables ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Webhook tables exist but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with webhook tables:', error.message);
+    }
+  }
+};
+
+// A local signing key is only trusted when explicitly switched on, and never in production
+const LOCAL_KEY_ENABLED = process.env.PLAID_WEBHOOK_ALLOW_LOCAL_KEY === 'true'
+  && process.env.PLAID_ENV !== 'production'
+  && process.env.NODE_ENV !== 'production';
+
+// Look up the public key Plaid used to sign a webhook.
+// With PLAID_WEBHOOK_ALLOW_LOCAL_KEY=true, PLAID_WEBHOOK_LOCAL_JWK lets a local stand-in sign its own payloads.
+const getVerificationKey = async (keyId) => {
+  if (LOCAL_KEY_ENABLED && process.env.PLAID_WEBHOOK_LOCAL_JWK) {
+    const localJwk = JSON.parse(process.env.PLAID_WEBHOOK_LOCAL_JWK);
+    if (localJwk.kid === keyId) {
+      return localJwk;
+    }
+  }
+
+  const cached = verificationKeyCache[keyId];
+  if (cached && !cached.key.expired_at && Date.now() - cached.fetchedAt < KEY_CACHE_TTL_MS) {
+    return cached.key;
+  }
+
+  const response = await client.webhookVerificationKeyGet({ key_id: keyId });
+  verificationKeyCache[keyId] = { key: response.data.key, fetchedAt: Date.now() };
+
+  return response.data.key;
+};
+
+// Verify the Plaid-Verification JWT against the raw request body, throws when invalid
+const verifyWebhook = async (rawBody, verificationHeader) => {
+  if (!verificationHeader) {
+    throw new Error('Missing Plaid-Verification header');
+  }
+
+  const decoded = jwt.decode(verificationHeader, { complete: true });
+  if (!decoded || decoded.header.alg !== 'ES256' || !decoded.header.kid) {
+    throw new Error('Malformed Plaid-Verification header');
+  }
+
+  const key = await getVerificationKey(decoded.header.kid);
+  if (key.expired_at) {
+    throw new Error('Webhook signed with an expired key');
+  }
+
+  const publicKey = crypto.createPublicKey({ key, format: 'jwk' });
+  const claims = jwt.verify(verificationHeader, publicKey, {
+    algorithms: ['ES256'],
+    maxAge: MAX_WEBHOOK_AGE
+  });
+
+  const bodyHash = crypto.createHash('sha256').update(rawBody).digest('hex');
+  const expected = Buffer.from(claims.request_body_sha256 || '', 'utf8');
+  const actual = Buffer.from(bodyHash, 'utf8');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Webhook body does not match its signature');
+  }
+};
+
+// Add a notification to the queue for the bank's owner
+const queueNotification = async (bank, type, message, payload) => {
+  await pool.query(`
+    INSERT INTO notifications (user_id, bank_id, type, message, payload)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [bank.user_id, bank.id, type, message, JSON.stringify(payload)]);
+
+  console.log(`🔔 Queued ${type} notification for user ${bank.user_id}`);
+};
+
+// TRANSACTIONS: every code means "something changed", so pull it through the sync engine
+const handleTransactionsWebhook = async (bank, payload) => {
+  if (payload.webhook_code === 'RECURRING_TRANSACTIONS_UPDATE') {
+    return;
+  }
+
+  const updates = await syncBankTransactions(bank);
+  await processTransactionsForCategorization(updates.added, bank.user_id);
+};
+
+// ITEM: connection health and consent
+const handleItemWebhook = async (bank, payload) => {
+  switch (payload.webhook_code) {
+    case 'ERROR': {
+      const errorCode = payload.error?.error_code || 'UNKNOWN_ERROR';
+      const status = errorCode === 'ITEM_LOGIN_REQUIRED' ? 'login_required' : 'error';
+      await setBankStatus(bank, status, errorCode);
+      await queueNotification(bank, 'BANK_CONNECTION_ERROR',
+        `${bank.institution_name || 'A bank'} needs to be reconnected`, payload);
+      break;
+    }
+    case 'PENDING_EXPIRATION':
+    case 'PENDING_DISCONNECT':
+      await pool.query(
+        'UPDATE user_banks SET consent_expires_at = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [payload.consent_expiration_time || null, bank.id]
+      );
+      await queueNotification(bank, 'BANK_CONSENT_EXPIRING',
+        `Access to ${bank.institution_name || 'a bank'} expires soon, reconnect to keep it up to date`, payload);
+      break;
+    case 'USER_PERMISSION_REVOKED':
+    case 'USER_ACCOUNT_REVOKED':
+      await setBankStatus(bank, 'revoked', payload.webhook_code);
+      await queueNotification(bank, 'BANK_ACCESS_REVOKED',
+        `Access to ${bank.institution_name || 'a bank'} was revoked`, payload);
+      break;
+    case 'LOGIN_REPAIRED':
+      await setBankStatus(bank, 'active');
+      break;
+    case 'NEW_ACCOUNTS_AVAILABLE':
+      await queueNotification(bank, 'BANK_NEW_ACCOUNTS',
+        `${bank.institution_name || 'A bank'} has new accounts you can share`, payload);
+      break;
+    default:
+      console.log(`ℹ️ Ignoring ITEM webhook ${payload.webhook_code}`);
+  }
+};
+
+// HOLDINGS: snapshot the new holdings, then tell the user their investments changed
+const handleHoldingsWebhook = async (bank, payload) => {
+  await refreshBankInvestments(bank);
+  await queueNotification(bank, 'HOLDINGS_UPDATED',
+    `Investment holdings at ${bank.institution_name || 'a bank'} were updated`, payload);
+};
+
+// INVESTMENTS_TRANSACTIONS: new buys, sells, dividends or contributions to store
+const handleInvestmentsTransactionsWebhook = async (bank) => {
+  await refreshBankInvestments(bank);
+};
+
+// LIABILITIES: store the new balances and due dates, then tell the user their debts changed
+const handleLiabilitiesWebhook = async (bank, payload) => {
+  await refreshBankLiabilities(bank);
+  await queueNotification(bank, 'LIABILITIES_UPDATED',
+    `Liabilities at ${bank.institution_name || 'a bank'} were updated`, payload);
+};
+
+const WEBHOOK_HANDLERS = {
+  TRANSACTIONS: handleTransactionsWebhook,
+  ITEM: handleItemWebhook,
+  HOLDINGS: handleHoldingsWebhook,
+  INVESTMENTS_TRANSACTIONS: handleInvestmentsTransactionsWebhook,
+  LIABILITIES: handleLiabilitiesWebhook
+};
+
+// Route a verified webhook payload to the handler for its type, once per linked user_banks row
+const handleWebhook = async (payload) => {
+  const handler = WEBHOOK_HANDLERS[payload.webhook_type];
+  if (!handler) {
+    console.log(`ℹ️ No handler for webhook type ${payload.webhook_type}`);
+    return;
+  }
+
+  const banksResult = await pool.query(
+    "SELECT * FROM user_banks WHERE item_id = $1 AND status IS DISTINCT FROM 'duplicate_pending'",
+    [payload.item_id]
+  );
+  if (banksResult.rows.length === 0) {
+    console.log(`⚠️ Webhook for unknown item ${payload.item_id}`);
+    return;
+  }
+
+  for (const bank of banksResult.rows) {
+    try {
+      await handler(bank, payload);
+    } catch (error) {
+      console.error(`❌ Error handling ${payload.webhook_type}/${payload.webhook_code} for bank ${bank.id}:`, error.message);
+      await recordBankError(bank, error);
+    }
+  }
+};
+
+module.exports = {
+  ensureWebhookTables,
+  verifyWebhook,
+  handleWebhook,
+  queueNotification
+};
\ No newline at end of file
@@ -0,0 +1,264 @@
+const { roundMoney } = require('./budgetActuals');
+
+// Investment transactions that move money into or out of the portfolio from outside it.
+// Plaid amounts are positive when cash leaves the account, so the flow into the portfolio is -amount.
+const EXTERNAL_CASH_SUBTYPES = ['deposit', 'withdrawal', 'contribution', 'distribution'];
+const EXTERNAL_TRANSFER_SUBTYPES = ['transfer', 'send', 'request'];
+
+// Cash subtypes that are returns on the investments rather than money added
+const INCOME_SUBTYPES = [
+  'dividend', 'qualified dividend', 'non-qualified dividend', 'interest',
+  'long-term capital gain', 'short-term capital gain'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundPercent = (value) => Math.round(value * 10000) / 100;
+
+// Money added to the portfolio by a transaction (negative when taken out), or null when it's internal
+const externalFlow = (tx) => {
+  const amount = parseFloat(tx.amount);
+  if (tx.type === 'cash' && EXTERNAL_CASH_SUBTYPES.includes(tx.subtype)) {
+    return -amount;
+  }
+  if (tx.type === 'transfer' && EXTERNAL_TRANSFER_SUBTYPES.includes(tx.subtype)) {
+    // Securities moved in kind carry no cash amount, value them at the transaction price
+    return amount !== 0 ? -amount : parseFloat(tx.quantity || 0) * parseFloat(tx.price || 0);
+  }
+  return null;
+};
+
+const allocationOf = (entries, total) => Object.values(entries)
+  .map(entry => ({ ...entry, market_value: roundMoney(entry.market_value), weight: total > 0 ? roundPercent(entry.market_value / total) : null }))
+  .sort((a, b) => b.market_value - a.market_value);
+
+// Value the latest holdings, at the current market price where one is known and in the
+// holding's own currency, else at the institution's price. Values are summed as they are,
+// without currency conversion - by_currency shows how much that matters.
+const buildPortfolio = (rows, quotes = {}) => {
+  const holdings = rows.map(row => {
+    const quantity = parseFloat(row.quantity);
+    const quote = row.ticker_symbol && !row.is_cash_equivalent ? quotes[row.ticker_symbol.toUpperCase()] : null;
+    const usableQuote = quote && (!quote.currency || !row.iso_currency_code || quote.currency === row.iso_currency_code) ? quote : null;
+
+    const institutionPrice = row.institution_price !== null ? parseFloat(row.institution_price) : null;
+    const price = usableQuote ? usableQuote.price : institutionPrice;
+    const marketValue = usableQuote
+      ? quantity * usableQuote.price
+      : (row.institution_value !== null ? parseFloat(row.institution_value) : quantity * (institutionPrice || 0));
+    const costBasis = row.cost_basis !== null ? parseFloat(row.cost_basis) : null;
+    const gain = costBasis !== null ? marketValue - costBasis : null;
+
+    return {
+      bank_id: row.bank_id,
+      bank_name: row.institution_name,
+      account_id: row.account_id,
+      account_name: row.account_name,
+      security_id: row.security_id,
+      ticker_symbol: row.ticker_symbol,
+      name: row.security_name,
+      type: row.security_type || 'other',
+      sector: row.is_cash_equivalent ? 'Cash' : (row.sector || 'Unknown'),
+      currency: row.iso_currency_code || 'USD',
+      quantity,
+      price,
+      price_source: usableQuote ? 'market' : 'institution',
+      price_as_of: usableQuote ? usableQuote.as_of : row.snapshot_date,
+      price_stale: usableQuote ? usableQuote.stale : null,
+      market_value: roundMoney(marketValue),
+      cost_basis: costBasis,
+      unrealized_gain: gain !== null ? roundMoney(gain) : null,
+      unrealized_gain_percent: costBasis ? roundPercent(gain / costBasis) : null
+    };
+  });
+
+  const total = holdings.reduce((sum, holding) => sum + holding.market_value, 0);
+  holdings.forEach(holding => {
+    holding.weight = total > 0 ? roundPercent(holding.market_value / total) : null;
+  });
+
+  // Gains only count holdings whose cost basis is known, so the percentage compares like with like
+  const summarize = (group) => {
+    const withBasis = group.filter(holding => holding.cost_basis !== null);
+    const value = group.reduce((sum, holding) => sum + holding.market_value, 0);
+    const costBasis = withBasis.reduce((sum, holding) => sum + holding.cost_basis, 0);
+    const gain = withBasis.reduce((sum, holding) => sum + holding.unrealized_gain, 0);
+
+    return {
+      market_value: roundMoney(value),
+      cost_basis: withBasis.length > 0 ? roundMoney(costBasis) : null,
+      unrealized_gain: withBasis.length > 0 ? roundMoney(gain) : null,
+      unrealized_gain_percent: costBasis ? roundPercent(gain / costBasis) : null,
+      holdings_without_cost_basis: group.length - withBasis.length,
+      weight: total > 0 ? roundPercent(value / total) : null
+    };
+  };
+
+  const byAccount = {};
+  holdings.forEach(holding => {
+    const key = `${holding.bank_id}:${holding.account_id}`;
+    (byAccount[key] = byAccount[key] || []).push(holding);
+  });
+
+  const accounts = Object.values(byAccount).map(group => ({
+    bank_id: group[0].bank_id,
+    bank_name: group[0].bank_name,
+    account_id: group[0].account_id,
+    account_name: group[0].account_name,
+    holdings: group.length,
+    ...summarize(group)
+  })).sort((a, b) => b.market_value - a.market_value);
+
+  const byType = {};
+  const bySector = {};
+  const byCurrency = {};
+  holdings.forEach(holding => {
+    (byType[holding.type] = byType[holding.type] || { type: holding.type, market_value: 0 }).market_value += holding.market_value;
+    (bySector[holding.sector] = bySector[holding.sector] || { sector: holding.sector, market_value: 0 }).market_value += holding.market_value;
+    (byCurrency[holding.currency] = byCurrency[holding.currency] || { currency: holding.currency, market_value: 0 }).market_value += holding.market_value;
+  });
+
+  return {
+    totals: {
+      ...summarize(holdings),
+      priced_at_market: holdings.filter(holding => holding.price_source === 'market').length,
+      priced_at_institution: holdings.filter(holding => holding.price_source === 'institution').length
+    },
+    accounts,
+    holdings: holdings.sort((a, b) => b.market_value - a.market_value),
+    allocation: {
+      by_type: allocationOf(byType, total),
+      by_sector: allocationOf(bySector, total),
+      by_currency: allocationOf(byCurrency, total)
+    }
+  };
+};
+
+// Portfolio value on every snapshot day, each bank carried forward from its last snapshot.
+// A bank that shows up after the first day brings its whole value in with it, and an inactive
+// bank takes its last value out after its final snapshot; both are flows, not performance.
+const valueSeries = (history, from) => {
+  const firstDate = {};
+  const lastDate = {};
+  const inactive = new Set();
+  const byDate = {};
+
+  history.forEach(row => {
+    const date = row.snapshot_date < from ? from : row.snapshot_date;
+    if (!firstDate[row.bank_id]) firstDate[row.bank_id] = date;
+    lastDate[row.bank_id] = date;
+    if (row.active === false) inactive.add(row.bank_id);
+    // Snapshots from before the range all collapse onto its first day, keep the last of them
+    (byDate[date] = byDate[date] || {})[row.bank_id] = row.value;
+  });
+
+  const latest = {};
+  const series = Object.keys(byDate).sort().map((date, index) => {
+    let entered = 0;
+    let left = 0;
+
+    Object.keys(latest).forEach(bankId => {
+      if (inactive.has(Number(bankId)) && lastDate[bankId] < date) {
+        left += latest[bankId];
+        delete latest[bankId];
+      }
+    });
+
+    Object.entries(byDate[date]).forEach(([bankId, value]) => {
+      if (index > 0 && firstDate[bankId] === date) {
+        entered += value;
+      }
+      latest[bankId] = value;
+    });
+
+    return {
+      date,
+      value: Object.values(latest).reduce((sum, value) => sum + value, 0),
+      banks_flow: entered - left
+    };
+  });
+
+  return { series, firstDate, lastDate, inactive };
+};
+
+// Time-weighted return over the snapshot series: each period between two snapshots returns
+// (end value - money added during it) / start value, and the periods are chained, so deposits
+// and withdrawals don't count as performance. Flows are assumed to land at the end of their period.
+const computePerformance = (history, transactions, { from, to }) => {
+  const { series, firstDate, lastDate, inactive } = valueSeries(history, from);
+
+  // A bank's transactions only count while its holdings are part of the series
+  const flows = transactions
+    .filter(tx => firstDate[tx.bank_id] && tx.date > firstDate[tx.bank_id] &&
+      !(inactive.has(tx.bank_id) && tx.date > lastDate[tx.bank_id]))
+    .map(tx => ({ date: tx.date, flow: externalFlow(tx) }))
+    .filter(entry => entry.flow !== null);
+
+  const income = roundMoney(transactions
+    .filter(tx => tx.type === 'cash' && INCOME_SUBTYPES.includes(tx.subtype))
+    .reduce((sum, tx) => sum - parseFloat(tx.amount), 0));
+  const fees = roundMoney(transactions.reduce((sum, tx) =>
+    sum + (tx.type === 'fee' ? Math.abs(parseFloat(tx.amount)) : 0) + Math.abs(parseFloat(tx.fees || 0)), 0));
+
+  if (series.length < 2) {
+    return {
+      from, to, snapshots: series.length, time_weighted_return: null, annualized_return: null,
+      start_value: series[0] ? roundMoney(series[0].value) : null, end_value: series[0] ? roundMoney(series[0].value) : null,
+      net_contributions: null, investment_gain: null, income, fees, series: []
+    };
+  }
+
+  let growth = 1;
+  const points = [{ date: series[0].date, value: roundMoney(series[0].value), net_flow: 0, period_return: null, cumulative_return: 0 }];
+
+  for (let i = 1; i < series.length; i++) {
+    const start = series[i - 1];
+    const end = series[i];
+    const netFlow = end.banks_flow + flows
+      .filter(entry => entry.date > start.date && entry.date <= end.date)
+      .reduce((sum, entry) => sum + entry.flow, 0);
+
+    // A period starting from nothing has no return to measure
+    const periodReturn = start.value > 0 ? (end.value - netFlow) / start.value - 1 : null;
+    if (periodReturn !== null) {
+      growth *= 1 + periodReturn;
+    }
+
+    points.push({
+      date: end.date,
+      value: roundMoney(end.value),
+      net_flow: roundMoney(netFlow),
+      period_return: periodReturn !== null ? roundPercent(periodReturn) : null,
+      cumulative_return: roundPercent(growth - 1)
+    });
+  }
+
+  const first = series[0];
+  const last = series[series.length - 1];
+  const netContributions = points.reduce((sum, point) => sum + point.net_flow, 0);
+  const days = (new Date(`${last.date}T00:00:00Z`) - new Date(`${first.date}T00:00:00Z`)) / DAY_MS;
+
+  return {
+    from,
+    to,
+    snapshots: series.length,
+    start_date: first.date,
+    end_date: last.date,
+    start_value: roundMoney(first.value),
+    end_value: roundMoney(last.value),
+    net_contributions: roundMoney(netContributions),
+    investment_gain: roundMoney(last.value - first.value - netContributions),
+    time_weighted_return: roundPercent(growth - 1),
+    // Only annualized over at least a year, shorter periods blow up into meaningless numbers
+    annualized_return: days >= 365 ? roundPercent(Math.pow(growth, 365 / days) - 1) : null,
+    income,
+    fees,
+    series: points
+  };
+};
+
+module.exports = {
+  externalFlow,
+  buildPortfolio,
+  computePerformance
+};
\ No newline at end of file
@@ -0,0 +1,322 @@
+const pool = require('../config/database');
+const { isTransfer, roundMoney } = require('./budgetActuals');
+
+// How far back to look for repeating charges and deposits
+const LOOKBACK_MONTHS = 18;
+
+// Expected gap between occurrences, how far a gap may stray and still count,
+// and how late the next one may be before it is flagged as missed
+const CADENCES = {
+  weekly: { days: 7, tolerance: 1, grace: 3, minOccurrences: 4 },
+  biweekly: { days: 14, tolerance: 2, grace: 4, minOccurrences: 3 },
+  monthly: { days: 30, tolerance: 4, grace: 7, minOccurrences: 3 },
+  annual: { days: 365, tolerance: 15, grace: 21, minOccurrences: 2 }
+};
+
+// Share of gaps that have to fit the cadence
+const MIN_CADENCE_FIT = 0.75;
+
+// Charges from one merchant are the same stream when within this much of each other
+const AMOUNT_TOLERANCE_RATIO = 0.2;
+const AMOUNT_TOLERANCE_MIN = 2;
+
+// Smaller changes than this are rounding, taxes or FX noise rather than a price increase
+const PRICE_CHANGE_RATIO = 0.01;
+const PRICE_CHANGE_MIN = 0.5;
+
+const STREAM_STATUSES = ['active', 'cancelled', 'not_recurring'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ensure the recurring streams table exists
+const ensureRecurringTables = async () => {
+  try {
+    // status is the user's say: active, cancelled, or not_recurring (hidden)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS recurring_streams (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        stream_key VARCHAR(300) NOT NULL,
+        merchant VARCHAR(255) NOT NULL,
+        direction VARCHAR(10) NOT NULL,
+        cadence VARCHAR(10) NOT NULL,
+        average_amount DECIMAL(12,2) NOT NULL,
+        last_amount DECIMAL(12,2) NOT NULL,
+        previous_amount DECIMAL(12,2),
+        first_date DATE NOT NULL,
+        last_date DATE NOT NULL,
+        next_expected_date DATE NOT NULL,
+        next_expected_amount DECIMAL(12,2) NOT NULL,
+        occurrences INTEGER NOT NULL,
+        transaction_ids JSONB,
+        price_increased BOOLEAN NOT NULL DEFAULT FALSE,
+        missed BOOLEAN NOT NULL DEFAULT FALSE,
+        status VARCHAR(20) NOT NULL DEFAULT 'active',
+        status_changed_at TIMESTAMP,
+        detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, stream_key)
+      )
+    `);
+
+    console.log('✅ Recurring streams table ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Recurring streams table exists but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with recurring streams table:', error.message);
+    }
+  }
+};
+
+// "NETFLIX.COM 8472" and "Netflix.com #1234" are the same merchant
+const merchantKey = (tx) => String(tx.merchant_name || tx.name || '')
+  .toLowerCase()
+  .replace(/[#*]?\d{3,}/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const toDate = (value) => new Date(`${value}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// Split one merchant's transactions into groups of similar amounts
+const clusterByAmount = (transactions) => {
+  const clusters = [];
+
+  for (const tx of [...transactions].sort((a, b) => a.amount - b.amount)) {
+    const cluster = clusters[clusters.length - 1];
+    const reference = cluster ? median(cluster.map(entry => entry.amount)) : null;
+    const tolerance = reference === null ? 0 : Math.max(Math.abs(reference) * AMOUNT_TOLERANCE_RATIO, AMOUNT_TOLERANCE_MIN);
+
+    if (cluster && Math.abs(tx.amount - reference) <= tolerance) {
+      cluster.push(tx);
+    } else {
+      clusters.push([tx]);
+    }
+  }
+
+  return clusters;
+};
+
+// The cadence most gaps fit, or null when the dates don't repeat regularly
+const inferCadence = (dates) => {
+  const gaps = [];
+  for (let i = 1; i < dates.length; i++) {
+    gaps.push(Math.round((toDate(dates[i]) - toDate(dates[i - 1])) / DAY_MS));
+  }
+  if (gaps.length === 0) return null;
+
+  for (const [name, cadence] of Object.entries(CADENCES)) {
+    if (dates.length < cadence.minOccurrences) continue;
+
+    const fitting = gaps.filter(gap => Math.abs(gap - cadence.days) <= cadence.tolerance).length;
+    if (fitting / gaps.length >= MIN_CADENCE_FIT) {
+      return name;
+    }
+  }
+
+  return null;
+};
+
+// Same day of the month, or the month's last day when it is shorter (Jan 31 -> Feb 28)
+const addMonths = (date, months) => {
+  const day = date.getUTCDate();
+  const result = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+const nextDate = (lastDate, cadence) => {
+  const date = toDate(lastDate);
+  if (cadence === 'monthly') {
+    return formatDate(addMonths(date, 1));
+  }
+  if (cadence === 'annual') {
+    return formatDate(addMonths(date, 12));
+  }
+  date.setUTCDate(date.getUTCDate() + CADENCES[cadence].days);
+  return formatDate(date);
+};
+
+// Find repeating streams in a list of { transaction_id, date, amount, merchant_name, name } rows,
+// oldest first. Plaid amounts are positive for money out: out is a subscription or bill, in is income.
+const detectStreams = (transactions, today = new Date()) => {
+  const groups = {};
+  for (const tx of transactions) {
+    const key = merchantKey(tx);
+    if (!key || tx.amount === 0) continue;
+
+    const direction = tx.amount > 0 ? 'expense' : 'income';
+    const groupKey = `${direction}:${key}`;
+    (groups[groupKey] = groups[groupKey] || { direction, key, merchant: tx.merchant_name || tx.name, transactions: [] })
+      .transactions.push(tx);
+  }
+
+  const streams = [];
+  for (const group of Object.values(groups)) {
+    for (const cluster of clusterByAmount(group.transactions)) {
+      // One charge per day at most, some banks post the same payment twice while pending
+      const byDate = {};
+      cluster.forEach(tx => { byDate[tx.date] = tx; });
+      const occurrences = Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+
+      const cadence = inferCadence(occurrences.map(tx => tx.date));
+      if (!cadence) continue;
+
+      const last = occurrences[occurrences.length - 1];
+      const previous = occurrences[occurrences.length - 2];
+      const amounts = occurrences.map(tx => Math.abs(tx.amount));
+      const lastAmount = Math.abs(last.amount);
+      const previousAmount = Math.abs(previous.amount);
+      const change = lastAmount - previousAmount;
+
+      const nextExpected = nextDate(last.date, cadence);
+      const missedBy = (today - toDate(nextExpected)) / DAY_MS;
+
+      // Keyed on the typical amount too, so two plans at one merchant stay apart and keep their keys
+      streams.push({
+        stream_key: `${group.direction}:${group.key}:${cadence}:${Math.round(median(amounts))}`,
+        merchant: group.merchant,
+        direction: group.direction,
+        cadence,
+        average_amount: roundMoney(amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length),
+        last_amount: roundMoney(lastAmount),
+        previous_amount: roundMoney(previousAmount),
+        first_date: occurrences[0].date,
+        last_date: last.date,
+        next_expected_date: nextExpected,
+        next_expected_amount: roundMoney(lastAmount),
+        occurrences: occurrences.length,
+        transaction_ids: occurrences.map(tx => tx.transaction_id),
+        price_increased: change > Math.max(previousAmount * PRICE_CHANGE_RATIO, PRICE_CHANGE_MIN),
+        missed: missedBy > CADENCES[cadence].grace
+      });
+    }
+  }
+
+  // Clusters sit more than the amount tolerance apart, but if two ever round to one key keep the longer
+  const byKey = {};
+  for (const stream of streams) {
+    const existing = byKey[stream.stream_key];
+    if (!existing || stream.occurrences > existing.occurrences) {
+      byKey[stream.stream_key] = stream;
+    }
+  }
+
+  return Object.values(byKey);
+};
+
+// Everything in a stream key but the amount: direction, merchant and cadence
+const streamBaseKey = (streamKey) => streamKey.slice(0, streamKey.lastIndexOf(':'));
+
+// Re-run detection over the user's stored transactions and save what was found.
+// A stream whose typical amount moved (a price increase) takes over its old row, so the user's
+// status on it survives. Stored streams the detection no longer finds are removed, unless the user
+// set their status: a cancelled or hidden stream keeps its key, so the decision still applies.
+const refreshRecurringStreams = async (userId) => {
+  const result = await pool.query(`
+    SELECT transaction_id, to_char(date, 'YYYY-MM-DD') AS date, amount, merchant_name, name,
+      category_primary, category_detailed
+    FROM transactions
+    WHERE user_id = $1 AND pending = FALSE
+      AND date >= CURRENT_DATE - ($2 || ' months')::interval
+    ORDER BY date ASC
+  `, [userId, String(LOOKBACK_MONTHS)]);
+
+  const transactions = result.rows
+    .filter(tx => !isTransfer(tx))
+    .map(tx => ({ ...tx, amount: parseFloat(tx.amount) }));
+
+  const streams = detectStreams(transactions);
+  const keys = streams.map(stream => stream.stream_key);
+
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+
+    const stored = await db.query(
+      'SELECT id, stream_key, average_amount, status FROM recurring_streams WHERE user_id = $1',
+      [userId]
+    );
+    const storedKeys = stored.rows.map(row => row.stream_key);
+    const unmatched = stored.rows.filter(row => !keys.includes(row.stream_key));
+
+    for (const stream of streams) {
+      if (!storedKeys.includes(stream.stream_key)) {
+        // Same merchant and cadence under an older amount (or a key from before amounts were in it)
+        const baseKey = streamBaseKey(stream.stream_key);
+        const previous = unmatched
+          .filter(row => row.stream_key === baseKey || streamBaseKey(row.stream_key) === baseKey)
+          .map(row => ({ ...row, distance: Math.abs(parseFloat(row.average_amount) - stream.average_amount) }))
+          .sort((a, b) => a.distance - b.distance)[0];
+
+        if (previous) {
+          await db.query('UPDATE recurring_streams SET stream_key = $1 WHERE id = $2', [stream.stream_key, previous.id]);
+          unmatched.splice(unmatched.findIndex(row => row.id === previous.id), 1);
+        }
+      }
+
+      await db.query(`
+        INSERT INTO recurring_streams (
+          user_id, stream_key, merchant, direction, cadence, average_amount, last_amount, previous_amount,
+          first_date, last_date, next_expected_date, next_expected_amount, occurrences, transaction_ids,
+          price_increased, missed
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        ON CONFLICT (user_id, stream_key)
+        DO UPDATE SET
+          merchant = $3, average_amount = $6, last_amount = $7, previous_amount = $8,
+          first_date = $9, last_date = $10, next_expected_date = $11, next_expected_amount = $12,
+          occurrences = $13, transaction_ids = $14, price_increased = $15, missed = $16,
+          updated_at = CURRENT_TIMESTAMP
+      `, [
+        userId, stream.stream_key, stream.merchant, stream.direction, stream.cadence, stream.average_amount,
+        stream.last_amount, stream.previous_amount, stream.first_date, stream.last_date, stream.next_expected_date,
+        stream.next_expected_amount, stream.occurrences, JSON.stringify(stream.transaction_ids),
+        stream.price_increased, stream.missed
+      ]);
+    }
+
+    const vanished = unmatched.filter(row => row.status === 'active');
+    if (vanished.length > 0) {
+      await db.query('DELETE FROM recurring_streams WHERE id = ANY($1)', [vanished.map(row => row.id)]);
+    }
+
+    await db.query('COMMIT');
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+
+  console.log(`🔁 Detected ${streams.length} recurring streams for user ${userId}`);
+
+  return streams.length;
+};
+
+// Stored streams, without the ones the user marked as not recurring unless asked
+const loadRecurringStreams = async (userId, { includeHidden = false } = {}) => {
+  const result = await pool.query(`
+    SELECT * FROM recurring_streams
+    WHERE user_id = $1 AND ($2::boolean OR status <> 'not_recurring')
+    ORDER BY next_expected_date ASC
+  `, [userId, includeHidden]);
+
+  return result.rows;
+};
+
+module.exports = {
+  STREAM_STATUSES,
+  ensureRecurringTables,
+  detectStreams,
+  refreshRecurringStreams,
+  loadRecurringStreams
+};
\ No newline at end of file
@@ -0,0 +1,345 @@
+const pool = require('../config/database');
+const { resolveCategory } = require('./categoryStore');
+
+// Review items are pending until categorized, or parked by the user:
+//   snoozed - hidden from the queue until snoozed_until
+//   ignored - hidden for good and left out of every budget calculation
+const REVIEW_STATUSES = ['pending', 'snoozed', 'ignored'];
+
+const BULK_ACTIONS = ['categorize', 'ignore', 'snooze', 'restore'];
+
+// Upper bound on one bulk operation, so a loose filter can't lock half the table
+const MAX_BULK_TRANSACTIONS = 2000;
+
+const DEFAULT_SNOOZE_DAYS = 7;
+
+// Ensure the review states and the bulk operation log used for undo exist
+const ensureReviewQueueTables = async () => {
+  try {
+    await pool.query(`
+      ALTER TABLE manual_review_transactions
+        ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMP
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS bulk_operations (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        action VARCHAR(20) NOT NULL,
+        params JSONB,
+        transaction_count INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        undone_at TIMESTAMP
+      )
+    `);
+
+    // What each transaction looked like before the operation touched it
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS bulk_operation_items (
+        operation_id INTEGER REFERENCES bulk_operations(id) ON DELETE CASCADE,
+        transaction_id VARCHAR(255) NOT NULL,
+        previous_categorization JSONB,
+        previous_splits JSONB,
+        previous_review JSONB,
+        PRIMARY KEY (operation_id, transaction_id)
+      )
+    `);
+
+    console.log('✅ Review queue tables ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Review queue tables exist but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with review queue tables:', error.message);
+    }
+  }
+};
+
+// Check a bulk request body, returns an error message or null
+const validateBulkRequest = ({ action, category, transaction_ids, filter, scope, snooze_days }) => {
+  if (!BULK_ACTIONS.includes(action)) {
+    return `Action must be one of: ${BULK_ACTIONS.join(', ')}`;
+  }
+  if (action === 'categorize' && !category) {
+    return 'A category is required to categorize';
+  }
+  if (action === 'snooze' && snooze_days !== undefined && !(Number.isInteger(snooze_days) && snooze_days > 0 && snooze_days <= 365)) {
+    return 'snooze_days must be a whole number of days between 1 and 365';
+  }
+
+  const hasIds = Array.isArray(transaction_ids) && transaction_ids.length > 0;
+  const hasFilter = filter && (filter.merchant || filter.description);
+  if (hasIds === Boolean(hasFilter)) {
+    return 'Send either transaction_ids or a filter with merchant and/or description';
+  }
+  if (scope !== undefined && !['review', 'all'].includes(scope)) {
+    return "Scope must be 'review' or 'all'";
+  }
+
+  return null;
+};
+
+// Lock and load the stored transactions a bulk request targets. Filters match the merchant
+// exactly (any case) and the description as a substring; scope 'review' (the default)
+// limits a filter to transactions waiting in the review queue.
+const selectTargets = async (db, userId, { transaction_ids, filter, scope = 'review' }) => {
+  const conditions = ['t.user_id = $1'];
+  const params = [userId];
+
+  if (transaction_ids) {
+    params.push(transaction_ids.map(String));
+    conditions.push(`t.transaction_id = ANY($${params.length})`);
+  } else {
+    if (filter.merchant) {
+      params.push(String(filter.merchant).trim());
+      conditions.push(`LOWER(COALESCE(t.merchant_name, t.name)) = LOWER($${params.length})`);
+    }
+    if (filter.description) {
+      params.push(`%${String(filter.description).replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`t.name ILIKE $${params.length}`);
+    }
+    if (scope === 'review') {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM manual_review_transactions mr
+        WHERE mr.user_id = t.user_id AND mr.transaction_id = t.transaction_id
+      )`);
+    }
+  }
+
+  params.push(MAX_BULK_TRANSACTIONS + 1);
+  const result = await db.query(`
+    SELECT t.transaction_id, t.plaid_data, to_char(t.date, 'YYYY-MM-DD') AS date
+    FROM transactions t
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY t.date DESC
+    LIMIT $${params.length}
+    FOR UPDATE
+  `, params);
+
+  return result.rows;
+};
+
+// Remember the current state of a transaction before a bulk operation changes it
+const snapshotTransaction = async (db, operationId, userId, transactionId) => {
+  await db.query(`
+    INSERT INTO bulk_operation_items (operation_id, transaction_id, previous_categorization, previous_splits, previous_review)
+    SELECT $1, $3,
+      (SELECT to_jsonb(tc) FROM transaction_categorizations tc WHERE tc.user_id = $2 AND tc.transaction_id = $3),
+      (SELECT jsonb_agg(to_jsonb(ts) ORDER BY ts.position) FROM transaction_splits ts WHERE ts.user_id = $2 AND ts.transaction_id = $3),
+      (SELECT to_jsonb(mr) FROM manual_review_transactions mr WHERE mr.user_id = $2 AND mr.transaction_id = $3)
+  `, [operationId, userId, transactionId]);
+};
+
+// Put a transaction in the review queue with a status, or update the status it has there
+const setReviewStatus = async (db, userId, target, status, snoozedUntil = null) => {
+  await db.query(`
+    INSERT INTO manual_review_transactions (user_id, transaction_id, transaction_data, status, snoozed_until)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (user_id, transaction_id)
+    DO UPDATE SET status = $4, snoozed_until = $5
+  `, [userId, target.transaction_id, JSON.stringify(target.plaid_data), status, snoozedUntil]);
+};
+
+const clearCategorization = async (db, userId, transactionId) => {
+  await db.query('DELETE FROM transaction_splits WHERE user_id = $1 AND transaction_id = $2', [userId, transactionId]);
+  await db.query('DELETE FROM transaction_categorizations WHERE user_id = $1 AND transaction_id = $2', [userId, transactionId]);
+};
+
+// Apply a validated bulk request in one database transaction.
+// Returns { operation_id, action, count, category, targets } or throws.
+const applyBulkOperation = async (userId, request) => {
+  const category = request.action === 'categorize' ? await resolveCategory(userId, request.category) : null;
+  const snoozedUntil = request.action === 'snooze'
+    ? new Date(Date.now() + (request.snooze_days || DEFAULT_SNOOZE_DAYS) * 24 * 60 * 60 * 1000)
+    : null;
+
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+
+    const targets = await selectTargets(db, userId, request);
+    if (targets.length > MAX_BULK_TRANSACTIONS) {
+      const error = new Error(`A bulk operation can change at most ${MAX_BULK_TRANSACTIONS} transactions, narrow the filter`);
+      error.status = 400;
+      throw error;
+    }
+
+    const operation = await db.query(`
+      INSERT INTO bulk_operations (user_id, action, params, transaction_count)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `, [userId, request.action, JSON.stringify({
+      category: category ? category.name : undefined,
+      transaction_ids: request.transaction_ids,
+      filter: request.filter,
+      scope: request.scope,
+      snoozed_until: snoozedUntil
+    }), targets.length]);
+    const operationId = operation.rows[0].id;
+
+    for (const target of targets) {
+      await snapshotTransaction(db, operationId, userId, target.transaction_id);
+
+      switch (request.action) {
+        case 'categorize':
+          await db.query('DELETE FROM transaction_splits WHERE user_id = $1 AND transaction_id = $2', [userId, target.transaction_id]);
+          await db.query(`
+            INSERT INTO transaction_categorizations (user_id, transaction_id, category, category_id, plaid_data, is_split, source)
+            VALUES ($1, $2, $3, $4, $5, FALSE, 'user')
+            ON CONFLICT (user_id, transaction_id)
+            DO UPDATE SET category = $3, category_id = $4, plaid_data = $5, is_split = FALSE, source = 'user', created_at = CURRENT_TIMESTAMP
+          `, [userId, target.transaction_id, category.name, category.id, JSON.stringify(target.plaid_data)]);
+          await db.query(
+            'DELETE FROM manual_review_transactions WHERE user_id = $1 AND transaction_id = $2',
+            [userId, target.transaction_id]
+          );
+          break;
+        case 'ignore':
+          await clearCategorization(db, userId, target.transaction_id);
+          await setReviewStatus(db, userId, target, 'ignored');
+          break;
+        case 'snooze':
+          await clearCategorization(db, userId, target.transaction_id);
+          await setReviewStatus(db, userId, target, 'snoozed', snoozedUntil);
+          break;
+        case 'restore':
+          await clearCategorization(db, userId, target.transaction_id);
+          await setReviewStatus(db, userId, target, 'pending');
+          break;
+      }
+    }
+
+    await db.query('COMMIT');
+
+    console.log(`📦 Bulk ${request.action} applied to ${targets.length} transactions for user ${userId}`);
+
+    return { operation_id: operationId, action: request.action, count: targets.length, category, targets };
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+};
+
+// True when the user categorized or split the transaction again after the operation
+const changedSinceOperation = async (db, userId, transactionId, operation) => {
+  const current = await db.query(`
+    SELECT
+      (SELECT MAX(created_at) FROM transaction_categorizations WHERE user_id = $1 AND transaction_id = $2) AS categorized_at,
+      (SELECT MAX(created_at) FROM transaction_splits WHERE user_id = $1 AND transaction_id = $2) AS split_at
+  `, [userId, transactionId]);
+  const { categorized_at: categorizedAt, split_at: splitAt } = current.rows[0];
+  const since = new Date(operation.created_at);
+
+  if ((categorizedAt && new Date(categorizedAt) > since) || (splitAt && new Date(splitAt) > since)) {
+    return true;
+  }
+
+  // A bulk categorize leaves a categorization behind; if it is gone the user removed it
+  return operation.action === 'categorize' && !categorizedAt;
+};
+
+// The snapshot's category if it still exists, else the category by its old name (it may have been merged)
+const restoreCategory = async (db, userId, categoryId, name) => {
+  if (categoryId) {
+    const existing = await db.query('SELECT id, name FROM categories WHERE id = $1 AND user_id = $2', [categoryId, userId]);
+    if (existing.rows.length > 0) {
+      return existing.rows[0];
+    }
+  }
+  if (!categoryId || !name) {
+    return { id: null, name };
+  }
+  return resolveCategory(userId, name, db);
+};
+
+// Put back every transaction the user's most recent, not yet undone, bulk operation touched.
+// Transactions the user changed since are left alone and listed in skipped_transaction_ids.
+// Returns the undone operation, or null when there is nothing to undo.
+const undoLastBulkOperation = async (userId) => {
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+
+    const operation = await db.query(`
+      SELECT * FROM bulk_operations
+      WHERE user_id = $1 AND undone_at IS NULL
+      ORDER BY id DESC
+      LIMIT 1
+      FOR UPDATE
+    `, [userId]);
+    if (operation.rows.length === 0) {
+      await db.query('ROLLBACK');
+      return null;
+    }
+
+    const items = await db.query('SELECT * FROM bulk_operation_items WHERE operation_id = $1', [operation.rows[0].id]);
+    const skipped = [];
+
+    for (const item of items.rows) {
+      if (await changedSinceOperation(db, userId, item.transaction_id, operation.rows[0])) {
+        skipped.push(item.transaction_id);
+        continue;
+      }
+
+      await clearCategorization(db, userId, item.transaction_id);
+      await db.query(
+        'DELETE FROM manual_review_transactions WHERE user_id = $1 AND transaction_id = $2',
+        [userId, item.transaction_id]
+      );
+
+      const categorization = item.previous_categorization;
+      if (categorization) {
+        const category = await restoreCategory(db, userId, categorization.category_id, categorization.category);
+        await db.query(`
+          INSERT INTO transaction_categorizations (user_id, transaction_id, category, category_id, plaid_data, is_split, source, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [userId, item.transaction_id, category.name, category.id,
+          JSON.stringify(categorization.plaid_data), categorization.is_split, categorization.source || 'user',
+          categorization.created_at]);
+      }
+
+      for (const split of item.previous_splits || []) {
+        const category = await restoreCategory(db, userId, split.category_id, split.category);
+        await db.query(`
+          INSERT INTO transaction_splits (user_id, transaction_id, position, category, category_id, amount)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [userId, item.transaction_id, split.position, category.name, category.id, split.amount]);
+      }
+
+      const review = item.previous_review;
+      if (review) {
+        await db.query(`
+          INSERT INTO manual_review_transactions (user_id, transaction_id, transaction_data, status, snoozed_until, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [userId, item.transaction_id, JSON.stringify(review.transaction_data), review.status, review.snoozed_until, review.created_at]);
+      }
+    }
+
+    const undone = await db.query(
+      'UPDATE bulk_operations SET undone_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [operation.rows[0].id]
+    );
+
+    await db.query('COMMIT');
+
+    console.log(`↩️ Undid bulk ${undone.rows[0].action} on ${items.rows.length - skipped.length} transactions for user ${userId}`);
+
+    return { ...undone.rows[0], skipped_transaction_ids: skipped };
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+};
+
+module.exports = {
+  REVIEW_STATUSES,
+  ensureReviewQueueTables,
+  validateBulkRequest,
+  applyBulkOperation,
+  undoLastBulkOperation
+};
\ No newline at end of file
@@ -0,0 +1,24 @@
+// Re-encrypts every stored Plaid access token and TOTP secret under the current master key.
+//
+//   PLAID_TOKEN_KEYS=old:<base64>,new:<base64> PLAID_TOKEN_KEY_ID=new node rotateTokenKeys.js
+//
+// Keep the old key in PLAID_TOKEN_KEYS until this has run, then it can be removed.
+
+const pool = require('../config/database');
+const { rotateAccessTokens } = require('./tokenVault');
+const { rotateTwoFactorSecrets } = require('./twoFactor');
+
+const rotateAll = async () => {
+  const tokens = await rotateAccessTokens();
+  console.log(`🔐 Re-encrypted ${tokens} access tokens under key ${process.env.PLAID_TOKEN_KEY_ID}`);
+
+  const secrets = await rotateTwoFactorSecrets();
+  console.log(`🔐 Re-encrypted ${secrets} two-factor secrets under key ${process.env.PLAID_TOKEN_KEY_ID}`);
+};
+
+rotateAll()
+  .catch(error => {
+    console.error('❌ Key rotation failed, re-run once fixed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
\ No newline at end of file
@@ -0,0 +1,30 @@
+// Records today's balance of every connected account into balance_snapshots, and the holdings
+// of investment accounts into holdings_snapshots.
+// Run once a day, e.g. from cron:
+//
+//   15 3 * * * node snapshotBalances.js
+//
+// Running it again the same day overwrites that day's snapshot.
+
+const pool = require('../config/database');
+const { ensureSnapshotTable, snapshotBalances } = require('./balanceSnapshots');
+const { ensureInvestmentTables } = require('./investments');
+
+const run = async () => {
+  await ensureSnapshotTable();
+  await ensureInvestmentTables();
+
+  const { banks, failed, accounts } = await snapshotBalances();
+  console.log(`📸 ${accounts} account balances recorded from ${banks - failed} of ${banks} banks`);
+
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Balance snapshot failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
\ No newline at end of file
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+// Plaid access tokens are stored with envelope encryption:
+//   - each row gets its own random data key, which encrypts the access token (AES-256-GCM)
+//   - the data key is itself encrypted ("wrapped") under a master key from the environment
+//   - the master key id is stored next to the row so old keys can be rotated out
+//
+// PLAID_TOKEN_KEYS   comma separated "keyId:base64Key" pairs, every key still needed to decrypt
+// PLAID_TOKEN_KEY_ID the key id new rows are encrypted under
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+// Parse PLAID_TOKEN_KEYS into { keyId: Buffer }
+const loadMasterKeys = () => {
+  const keys = {};
+
+  (process.env.PLAID_TOKEN_KEYS || '').split(',').filter(Boolean).forEach(entry => {
+    const [keyId, encodedKey] = entry.trim().split(':');
+    const key = Buffer.from(encodedKey || '', 'base64');
+    if (!keyId || key.length !== KEY_BYTES) {
+      throw new Error(`PLAID_TOKEN_KEYS entry "${keyId}" must be "keyId:<32 bytes in base64>"`);
+    }
+    keys[keyId] = key;
+  });
+
+  return keys;
+};
+
+const masterKeys = loadMasterKeys();
+const currentKeyId = process.env.PLAID_TOKEN_KEY_ID;
+
+if (!currentKeyId || !masterKeys[currentKeyId]) {
+  console.error('❌ PLAID_TOKEN_KEY_ID / PLAID_TOKEN_KEYS not configured - bank connections cannot be stored or read');
+}
+
+const getMasterKey = (keyId) => {
+  const key = masterKeys[keyId];
+  if (!key) {
+    throw new Error(`Master key "${keyId}" is not configured in PLAID_TOKEN_KEYS`);
+  }
+  return key;
+};
+
+// AES-256-GCM, serialized as base64 "iv.tag.ciphertext"
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+const open = (key, sealed, aad) => {
+  const [iv, tag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+// Encrypt any small secret under a fresh data key. The context string is bound in
+// as AAD so ciphertexts cannot be swapped between rows.
+const encryptSecret = (context, plaintext) => {
+  if (!currentKeyId) {
+    throw new Error('PLAID_TOKEN_KEY_ID is not configured');
+  }
+
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+
+  return {
+    ciphertext: seal(dataKey, Buffer.from(plaintext, 'utf8'), context),
+    wrapped_data_key: seal(getMasterKey(currentKeyId), dataKey, currentKeyId),
+    token_key_id: currentKeyId
+  };
+};
+
+const decryptSecret = ({ ciphertext, wrapped_data_key, token_key_id }, context) => {
+  const dataKey = open(getMasterKey(token_key_id), wrapped_data_key, token_key_id);
+
+  return open(dataKey, ciphertext, context).toString('utf8');
+};
+
+// Encrypt an access token for storage, bound to its item id
+const encryptAccessToken = (itemId, accessToken) => {
+  const { ciphertext, wrapped_data_key, token_key_id } = encryptSecret(itemId, accessToken);
+
+  return { access_token_ciphertext: ciphertext, wrapped_data_key, token_key_id };
+};
+
+// The one place a user_banks row's access token is decrypted
+const getAccessToken = (bank) => {
+  if (!bank.access_token_ciphertext) {
+    throw new Error(`Bank ${bank.id} has no encrypted access token`);
+  }
+
+  return decryptSecret({
+    ciphertext: bank.access_token_ciphertext,
+    wrapped_data_key: bank.wrapped_data_key,
+    token_key_id: bank.token_key_id
+  }, bank.item_id);
+};
+
+// Add the encrypted token columns and move any plaintext tokens into them
+const ensureTokenColumns = async () => {
+  try {
+    await pool.query(`
+      ALTER TABLE user_banks
+        ADD COLUMN IF NOT EXISTS access_token_ciphertext TEXT,
+        ADD COLUMN IF NOT EXISTS wrapped_data_key TEXT,
+        ADD COLUMN IF NOT EXISTS token_key_id VARCHAR(64),
+        ALTER COLUMN access_token DROP NOT NULL
+    `);
+
+    const plaintextRows = await pool.query(
+      'SELECT id, item_id, access_token FROM user_banks WHERE access_token IS NOT NULL'
+    );
+
+    for (const row of plaintextRows.rows) {
+      const encrypted = encryptAccessToken(row.item_id, row.access_token);
+      await pool.query(`
+        UPDATE user_banks
+        SET access_token_ciphertext = $1, wrapped_data_key = $2, token_key_id = $3, access_token = NULL
+        WHERE id = $4
+      `, [encrypted.access_token_ciphertext, encrypted.wrapped_data_key, encrypted.token_key_id, row.id]);
+    }
+
+    if (plaintextRows.rows.length > 0) {
+      console.log(`🔐 Encrypted ${plaintextRows.rows.length} plaintext access tokens`);
+    }
+
+    console.log('✅ Access token columns ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ user_banks exists but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with access token columns:', error.message);
+    }
+  }
+};
+
+// Re-encrypt every row not already under the current master key, with a fresh data key
+const rotateAccessTokens = async () => {
+  const db = await pool.connect();
+  let rotated = 0;
+
+  try {
+    await db.query('BEGIN');
+
+    const result = await db.query(`
+      SELECT * FROM user_banks
+      WHERE access_token_ciphertext IS NOT NULL AND token_key_id IS DISTINCT FROM $1
+      FOR UPDATE
+    `, [currentKeyId]);
+
+    for (const bank of result.rows) {
+      const encrypted = encryptAccessToken(bank.item_id, getAccessToken(bank));
+      await db.query(`
+        UPDATE user_banks
+        SET access_token_ciphertext = $1, wrapped_data_key = $2, token_key_id = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+      `, [encrypted.access_token_ciphertext, encrypted.wrapped_data_key, encrypted.token_key_id, bank.id]);
+      rotated += 1;
+    }
+
+    await db.query('COMMIT');
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+
+  return rotated;
+};
+
+module.exports = {
+  currentKeyId,
+  encryptSecret,
+  decryptSecret,
+  encryptAccessToken,
+  getAccessToken,
+  ensureTokenColumns,
+  rotateAccessTokens
+};
\ No newline at end of file
@@ -0,0 +1,276 @@
+const pool = require('../config/database');
+const { isValidDate } = require('./balanceSnapshots');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Sortable columns: the SQL expression, how a cursor value is cast back for comparison,
+// and what a cursor value for that sort has to look like
+const SORTS = {
+  date: { expression: 't.date', cast: 'date', select: "to_char(t.date, 'YYYY-MM-DD')", isValid: isValidDate },
+  amount: {
+    expression: 't.amount',
+    cast: 'numeric',
+    select: 't.amount::text',
+    isValid: (value) => typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)
+  },
+  name: {
+    expression: "LOWER(COALESCE(t.merchant_name, t.name, ''))",
+    cast: 'text',
+    select: "LOWER(COALESCE(t.merchant_name, t.name, ''))",
+    isValid: (value) => typeof value === 'string'
+  }
+};
+
+const SEARCH_DOCUMENT = "to_tsvector('simple', COALESCE(t.name, '') || ' ' || COALESCE(t.merchant_name, ''))";
+
+// Full-text index for the q filter, on the same expression the search uses
+const ensureSearchIndex = async () => {
+  try {
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_transactions_search ON transactions
+      USING GIN (${SEARCH_DOCUMENT.replace(/t\./g, '')})
+    `);
+
+    console.log('✅ Transaction search index ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Transactions exist but no owner permissions for the search index - this is OK for operations');
+    } else {
+      console.error('❌ Error with transaction search index:', error.message);
+    }
+  }
+};
+
+// Opaque cursor: the sort value and id of the last row on the page
+const encodeCursor = (row) => Buffer.from(JSON.stringify({ v: row.sort_value, id: row.id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return decoded && Number.isInteger(decoded.id) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseAmount = (value) => (value === undefined || value === '' ? null : Number(value));
+
+// Turn query string parameters into search options, returns { options } or { error }
+const parseSearchQuery = (query) => {
+  const sort = query.sort || 'date';
+  const order = (query.order || 'desc').toLowerCase();
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+  const minAmount = parseAmount(query.min_amount);
+  const maxAmount = parseAmount(query.max_amount);
+
+  if (!SORTS[sort]) {
+    return { error: `Sort must be one of: ${Object.keys(SORTS).join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: "Order must be 'asc' or 'desc'" };
+  }
+  if (!(limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+    return { error: `Limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  for (const field of ['start_date', 'end_date']) {
+    if (query[field] && !isValidDate(query[field])) {
+      return { error: `${field} must be a valid date in YYYY-MM-DD format` };
+    }
+  }
+  if ((minAmount !== null && isNaN(minAmount)) || (maxAmount !== null && isNaN(maxAmount))) {
+    return { error: 'min_amount and max_amount must be numbers' };
+  }
+  if (query.pending !== undefined && !['true', 'false'].includes(query.pending)) {
+    return { error: "pending must be 'true' or 'false'" };
+  }
+  if (query.bank_id !== undefined && !/^\d+$/.test(query.bank_id)) {
+    return { error: 'bank_id must be a bank id' };
+  }
+  if (query.category_id !== undefined && !/^\d+$/.test(query.category_id)) {
+    return { error: 'category_id must be a category id' };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    // A cursor from another sort, or edited by hand, would fail the cast in SQL
+    if (!cursor || !SORTS[sort].isValid(cursor.v)) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return {
+    options: {
+      q: query.q ? String(query.q).trim() : null,
+      startDate: query.start_date || null,
+      endDate: query.end_date || null,
+      minAmount,
+      maxAmount,
+      accountIds: query.account_id ? String(query.account_id).split(',').filter(Boolean) : null,
+      bankId: query.bank_id ? parseInt(query.bank_id, 10) : null,
+      category: query.category || null,
+      categoryId: query.category_id ? parseInt(query.category_id, 10) : null,
+      pending: query.pending === undefined ? null : query.pending === 'true',
+      uncategorized: query.uncategorized === 'true',
+      sort,
+      order,
+      limit,
+      cursor
+    }
+  };
+};
+
+// WHERE clause and parameters for the filters (everything except the cursor)
+const buildFilters = (userId, options) => {
+  const conditions = ['t.user_id = $1'];
+  const params = [userId];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (options.q) {
+    conditions.push(`${SEARCH_DOCUMENT} @@ websearch_to_tsquery('simple', ${add(options.q)})`);
+  }
+  if (options.startDate) {
+    conditions.push(`t.date >= ${add(options.startDate)}::date`);
+  }
+  if (options.endDate) {
+    conditions.push(`t.date <= ${add(options.endDate)}::date`);
+  }
+  if (options.minAmount !== null) {
+    conditions.push(`t.amount >= ${add(options.minAmount)}`);
+  }
+  if (options.maxAmount !== null) {
+    conditions.push(`t.amount <= ${add(options.maxAmount)}`);
+  }
+  if (options.accountIds) {
+    conditions.push(`t.account_id = ANY(${add(options.accountIds)})`);
+  }
+  if (options.bankId) {
+    conditions.push(`t.bank_id = ${add(options.bankId)}`);
+  }
+  if (options.pending !== null) {
+    conditions.push(`t.pending = ${add(options.pending)}`);
+  }
+  if (options.uncategorized) {
+    conditions.push('tc.id IS NULL');
+  }
+
+  // A split transaction matches on any of its portions
+  if (options.category) {
+    const category = add(options.category);
+    conditions.push(`(
+      LOWER(tc.category) = LOWER(${category}) OR EXISTS (
+        SELECT 1 FROM transaction_splits ts
+        WHERE ts.user_id = t.user_id AND ts.transaction_id = t.transaction_id AND LOWER(ts.category) = LOWER(${category})
+      )
+    )`);
+  }
+
+  // A group matches everything filed under its subcategories too
+  if (options.categoryId) {
+    const categoryId = add(options.categoryId);
+    const ids = `(SELECT id FROM categories WHERE user_id = $1 AND (id = ${categoryId} OR parent_id = ${categoryId}))`;
+    conditions.push(`(
+      tc.category_id IN ${ids} OR EXISTS (
+        SELECT 1 FROM transaction_splits ts
+        WHERE ts.user_id = t.user_id AND ts.transaction_id = t.transaction_id AND ts.category_id IN ${ids}
+      )
+    )`);
+  }
+
+  return { conditions, params, add };
+};
+
+const FROM_CLAUSE = `
+  FROM transactions t
+  JOIN user_banks b ON b.id = t.bank_id
+  LEFT JOIN bank_accounts a ON a.bank_id = t.bank_id AND a.account_id = t.account_id
+  LEFT JOIN transaction_categorizations tc ON tc.user_id = t.user_id AND tc.transaction_id = t.transaction_id
+  LEFT JOIN manual_review_transactions mr ON mr.user_id = t.user_id AND mr.transaction_id = t.transaction_id
+`;
+
+// One page of matching stored transactions, the cursor for the next page, and totals
+// over the whole filtered set (not just the page)
+const searchTransactions = async (userId, options) => {
+  const sort = SORTS[options.sort];
+  const direction = options.order === 'asc' ? 'ASC' : 'DESC';
+
+  const filters = buildFilters(userId, options);
+  const aggregateConditions = [...filters.conditions];
+  const aggregateParams = [...filters.params];
+
+  if (options.cursor) {
+    const value = filters.add(options.cursor.v);
+    const id = filters.add(options.cursor.id);
+    filters.conditions.push(`(${sort.expression}, t.id) ${direction === 'ASC' ? '>' : '<'} (${value}::${sort.cast}, ${id})`);
+  }
+  const limit = filters.add(options.limit + 1);
+
+  const page = await pool.query(`
+    SELECT t.id, t.plaid_data, t.bank_id, b.institution_name, a.name AS account_name, a.mask AS account_mask,
+      tc.category AS user_category, tc.category_id, tc.is_split, mr.status AS review_status,
+      ${sort.select} AS sort_value
+    ${FROM_CLAUSE}
+    WHERE ${filters.conditions.join(' AND ')}
+    ORDER BY ${sort.expression} ${direction}, t.id ${direction}
+    LIMIT ${limit}
+  `, filters.params);
+
+  const aggregates = await pool.query(`
+    SELECT
+      COUNT(*)::int AS count,
+      COALESCE(SUM(t.amount), 0) AS total,
+      COALESCE(SUM(t.amount) FILTER (WHERE t.amount > 0), 0) AS outflow,
+      COALESCE(-SUM(t.amount) FILTER (WHERE t.amount < 0), 0) AS inflow
+    ${FROM_CLAUSE}
+    WHERE ${aggregateConditions.join(' AND ')}
+  `, aggregateParams);
+
+  const hasMore = page.rows.length > options.limit;
+  const rows = page.rows.slice(0, options.limit);
+
+  // Portions of any split transactions on this page
+  const splitIds = rows.filter(row => row.is_split).map(row => row.plaid_data.transaction_id);
+  const splitsByTransaction = {};
+  if (splitIds.length > 0) {
+    const splits = await pool.query(`
+      SELECT transaction_id, position, category, category_id, amount
+      FROM transaction_splits
+      WHERE user_id = $1 AND transaction_id = ANY($2)
+      ORDER BY position
+    `, [userId, splitIds]);
+    for (const split of splits.rows) {
+      (splitsByTransaction[split.transaction_id] = splitsByTransaction[split.transaction_id] || []).push(split);
+    }
+  }
+
+  return {
+    transactions: rows.map(row => ({
+      ...row.plaid_data,
+      bank_id: row.bank_id,
+      bank_name: row.institution_name,
+      account_name: row.account_name,
+      account_mask: row.account_mask,
+      user_category: row.user_category,
+      category_id: row.category_id,
+      splits: row.is_split ? (splitsByTransaction[row.plaid_data.transaction_id] || []) : null,
+      review_status: row.review_status
+    })),
+    next_cursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null,
+    aggregates: {
+      count: aggregates.rows[0].count,
+      total: parseFloat(aggregates.rows[0].total),
+      outflow: parseFloat(aggregates.rows[0].outflow),
+      inflow: parseFloat(aggregates.rows[0].inflow)
+    }
+  };
+};
+
+module.exports = {
+  ensureSearchIndex,
+  parseSearchQuery,
+  searchTransactions
+};
\ No newline at end of file
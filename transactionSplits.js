@@ -0,0 +1,132 @@
+const pool = require('../config/database');
+const { roundMoney } = require('./budgetActuals');
+
+// Category stored on transaction_categorizations for a transaction that is split;
+// the real categories live in transaction_splits
+const SPLIT_CATEGORY = 'Split';
+
+const MAX_SPLITS = 20;
+
+// Ensure the split table, and the categorization flag that points at it, exist
+const ensureSplitTables = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS transaction_categorizations (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        transaction_id VARCHAR(255) NOT NULL,
+        category VARCHAR(100) NOT NULL,
+        plaid_data JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, transaction_id)
+      )
+    `);
+
+    await pool.query(`
+      ALTER TABLE transaction_categorizations
+        ADD COLUMN IF NOT EXISTS is_split BOOLEAN NOT NULL DEFAULT FALSE
+    `);
+
+    // Portions of one transaction, same sign convention as Plaid amounts
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS transaction_splits (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        transaction_id VARCHAR(255) NOT NULL,
+        position INTEGER NOT NULL,
+        category VARCHAR(100) NOT NULL,
+        amount DECIMAL(12,2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, transaction_id, position)
+      )
+    `);
+
+    console.log('✅ Transaction split tables ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Transaction split tables exist but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with transaction split tables:', error.message);
+    }
+  }
+};
+
+// Check splits from a request against the transaction amount, returns an error message or null
+const validateSplits = (splits, transactionAmount) => {
+  if (!Array.isArray(splits) || splits.length < 2) {
+    return 'A split needs at least two portions';
+  }
+  if (splits.length > MAX_SPLITS) {
+    return `A transaction can be split into at most ${MAX_SPLITS} portions`;
+  }
+  if (!Number.isFinite(parseFloat(transactionAmount))) {
+    return 'The transaction has no amount to split';
+  }
+
+  for (const split of splits) {
+    if (!split.category || !String(split.category).trim()) {
+      return 'Every portion needs a category';
+    }
+    const amount = parseFloat(split.amount);
+    if (!Number.isFinite(amount) || amount === 0) {
+      return 'Every portion needs a non-zero amount';
+    }
+  }
+
+  const total = roundMoney(splits.reduce((sum, split) => sum + parseFloat(split.amount), 0));
+  if (Math.abs(total - roundMoney(parseFloat(transactionAmount))) >= 0.005) {
+    return `Portions add up to ${total} but the transaction amount is ${transactionAmount}`;
+  }
+
+  return null;
+};
+
+// Replace a transaction's splits; an empty list removes them. Pass a client to join a transaction.
+const saveSplits = async (db, userId, transactionId, splits) => {
+  await db.query(
+    'DELETE FROM transaction_splits WHERE user_id = $1 AND transaction_id = $2',
+    [userId, transactionId]
+  );
+
+  const saved = [];
+  for (const [position, split] of splits.entries()) {
+    const result = await db.query(`
+      INSERT INTO transaction_splits (user_id, transaction_id, position, category, category_id, amount)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING position, category, category_id, amount
+    `, [userId, transactionId, position, String(split.category).trim(), split.category_id || null, roundMoney(parseFloat(split.amount))]);
+    saved.push(result.rows[0]);
+  }
+
+  return saved;
+};
+
+// { transactionId: [{ position, category, amount }] } for a user
+const loadSplitsByTransaction = async (userId) => {
+  const result = await pool.query(`
+    SELECT transaction_id, position, category, category_id, amount
+    FROM transaction_splits
+    WHERE user_id = $1
+    ORDER BY transaction_id, position
+  `, [userId]);
+
+  const splitsByTransaction = {};
+  for (const row of result.rows) {
+    (splitsByTransaction[row.transaction_id] = splitsByTransaction[row.transaction_id] || []).push({
+      position: row.position,
+      category: row.category,
+      category_id: row.category_id,
+      amount: row.amount
+    });
+  }
+
+  return splitsByTransaction;
+};
+
+module.exports = {
+  SPLIT_CATEGORY,
+  ensureSplitTables,
+  validateSplits,
+  saveSplits,
+  loadSplitsByTransaction
+};
\ No newline at end of file
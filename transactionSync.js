@@ -0,0 +1,328 @@
+const pool = require('../config/database');
+const client = require('./plaidClient');
+const { recordBankError, clearBankError } = require('./bankStatus');
+const { getAccessToken } = require('./tokenVault');
+
+// How many transactions to ask Plaid for per /transactions/sync page (max 500)
+const SYNC_PAGE_SIZE = 500;
+
+// Banks synced more recently than this are served straight from Postgres
+const SYNC_INTERVAL_MS = (parseInt(process.env.PLAID_SYNC_INTERVAL_MINUTES, 10) || 15) * 60 * 1000;
+
+// Plaid asks us to restart pagination from the original cursor when this happens
+const MUTATION_DURING_PAGINATION = 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION';
+const MAX_PAGINATION_RESTARTS = 3;
+
+// Ensure the tables used by the sync engine exist
+const ensureTransactionTables = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_banks (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        item_id VARCHAR(255) NOT NULL,
+        access_token VARCHAR(500),
+        institution_name VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, item_id)
+      )
+    `);
+
+    // Cursor returned by Plaid's /transactions/sync, one per item
+    await pool.query(`
+      ALTER TABLE user_banks
+        ADD COLUMN IF NOT EXISTS transactions_cursor TEXT,
+        ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP
+    `);
+
+    // Institution metadata looked up when the bank is connected; institution_checked_at marks
+    // banks linked before that whose lookup has already been tried
+    await pool.query(`
+      ALTER TABLE user_banks
+        ADD COLUMN IF NOT EXISTS institution_id VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS institution_logo TEXT,
+        ADD COLUMN IF NOT EXISTS institution_color VARCHAR(7),
+        ADD COLUMN IF NOT EXISTS institution_url VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS institution_checked_at TIMESTAMP
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS transactions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        bank_id INTEGER REFERENCES user_banks(id) ON DELETE CASCADE,
+        transaction_id VARCHAR(255) NOT NULL,
+        account_id VARCHAR(255) NOT NULL,
+        amount DECIMAL(12,2) NOT NULL,
+        iso_currency_code VARCHAR(3),
+        date DATE NOT NULL,
+        authorized_date DATE,
+        name VARCHAR(500),
+        merchant_name VARCHAR(255),
+        pending BOOLEAN DEFAULT FALSE,
+        category_primary VARCHAR(100),
+        category_detailed VARCHAR(100),
+        plaid_data JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, transaction_id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_transactions_user_date ON transactions(user_id, date DESC)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_transactions_bank_id ON transactions(bank_id)
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS bank_accounts (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        bank_id INTEGER REFERENCES user_banks(id) ON DELETE CASCADE,
+        account_id VARCHAR(255) NOT NULL,
+        name VARCHAR(255),
+        official_name VARCHAR(255),
+        mask VARCHAR(10),
+        type VARCHAR(50),
+        subtype VARCHAR(50),
+        balances JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(bank_id, account_id)
+      )
+    `);
+
+    await pool.query(`
+      ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS official_name VARCHAR(255)
+    `);
+
+    console.log('✅ Transaction sync tables ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Transaction tables exist but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with transaction sync tables:', error.message);
+    }
+  }
+};
+
+// Page through /transactions/sync from the given cursor until has_more is false
+const fetchTransactionUpdates = async (accessToken, cursor) => {
+  for (let attempt = 0; attempt <= MAX_PAGINATION_RESTARTS; attempt++) {
+    let added = [];
+    let modified = [];
+    let removed = [];
+    let accounts = [];
+    let nextCursor = cursor;
+    let hasMore = true;
+
+    try {
+      while (hasMore) {
+        const response = await client.transactionsSync({
+          access_token: accessToken,
+          cursor: nextCursor || undefined,
+          count: SYNC_PAGE_SIZE,
+        });
+        const data = response.data;
+
+        added = added.concat(data.added);
+        modified = modified.concat(data.modified);
+        removed = removed.concat(data.removed);
+        accounts = data.accounts || accounts;
+        hasMore = data.has_more;
+        nextCursor = data.next_cursor;
+      }
+
+      return { added, modified, removed, accounts, nextCursor };
+    } catch (error) {
+      if (error.response?.data?.error_code !== MUTATION_DURING_PAGINATION) {
+        throw error;
+      }
+      console.log(`⚠️ Transactions changed during pagination, restarting sync (attempt ${attempt + 1})`);
+    }
+  }
+
+  throw new Error('Transactions kept changing during pagination, try again later');
+};
+
+// Insert or update one Plaid transaction in the local store
+const upsertTransaction = (db, bank, tx) => db.query(`
+  INSERT INTO transactions (
+    user_id, bank_id, transaction_id, account_id, amount, iso_currency_code, date,
+    authorized_date, name, merchant_name, pending, category_primary, category_detailed, plaid_data
+  )
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+  ON CONFLICT (user_id, transaction_id)
+  DO UPDATE SET
+    account_id = $4, amount = $5, iso_currency_code = $6, date = $7, authorized_date = $8,
+    name = $9, merchant_name = $10, pending = $11, category_primary = $12,
+    category_detailed = $13, plaid_data = $14, updated_at = CURRENT_TIMESTAMP
+`, [
+  bank.user_id,
+  bank.id,
+  tx.transaction_id,
+  tx.account_id,
+  tx.amount,
+  tx.iso_currency_code,
+  tx.date,
+  tx.authorized_date,
+  tx.name,
+  tx.merchant_name,
+  tx.pending,
+  tx.personal_finance_category?.primary || null,
+  tx.personal_finance_category?.detailed || null,
+  JSON.stringify(tx)
+]);
+
+// Insert or update one Plaid account for a bank
+const upsertAccount = (db, bank, account) => db.query(`
+  INSERT INTO bank_accounts (user_id, bank_id, account_id, name, official_name, mask, type, subtype, balances)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  ON CONFLICT (bank_id, account_id)
+  DO UPDATE SET
+    name = $4, official_name = $5, mask = $6, type = $7, subtype = $8, balances = $9, updated_at = CURRENT_TIMESTAMP
+`, [
+  bank.user_id,
+  bank.id,
+  account.account_id,
+  account.name,
+  account.official_name || null,
+  account.mask,
+  account.type,
+  account.subtype,
+  JSON.stringify(account.balances)
+]);
+
+// Store the account list Plaid returned for a bank
+const saveAccounts = async (bank, accounts) => {
+  for (const account of accounts) {
+    await upsertAccount(pool, bank, account);
+  }
+};
+
+// Pull every change since the stored cursor for one user_banks row and apply it atomically
+const syncBankTransactions = async (bank) => {
+  const updates = await fetchTransactionUpdates(getAccessToken(bank), bank.transactions_cursor);
+  const removedIds = updates.removed.map(tx => tx.transaction_id);
+
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+
+    for (const tx of updates.added.concat(updates.modified)) {
+      await upsertTransaction(db, bank, tx);
+    }
+
+    if (removedIds.length > 0) {
+      await db.query(
+        'DELETE FROM transactions WHERE user_id = $1 AND transaction_id = ANY($2)',
+        [bank.user_id, removedIds]
+      );
+      await db.query(
+        'DELETE FROM manual_review_transactions WHERE user_id = $1 AND transaction_id = ANY($2)',
+        [bank.user_id, removedIds]
+      );
+    }
+
+    for (const account of updates.accounts) {
+      await upsertAccount(db, bank, account);
+    }
+
+    await db.query(`
+      UPDATE user_banks
+      SET transactions_cursor = $1, last_synced_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [updates.nextCursor, bank.id]);
+
+    await db.query('COMMIT');
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+
+  console.log(`🔄 Synced bank ${bank.id}: +${updates.added.length} ~${updates.modified.length} -${removedIds.length}`);
+
+  return updates;
+};
+
+// Sync every bank of a user whose data is older than SYNC_INTERVAL_MS (or all of them when forced)
+const syncUserTransactions = async (userId, { force = false } = {}) => {
+  const banksResult = await pool.query(
+    "SELECT * FROM user_banks WHERE user_id = $1 AND status IS DISTINCT FROM 'duplicate_pending'",
+    [userId]
+  );
+
+  const summary = { banks: banksResult.rows.length, synced: 0, added: [], modified: 0, removed: 0 };
+
+  for (const bank of banksResult.rows) {
+    const lastSynced = bank.last_synced_at ? new Date(bank.last_synced_at).getTime() : 0;
+    if (!force && Date.now() - lastSynced < SYNC_INTERVAL_MS) {
+      continue;
+    }
+
+    try {
+      const updates = await syncBankTransactions(bank);
+      summary.synced += 1;
+      summary.added = summary.added.concat(updates.added);
+      summary.modified += updates.modified.length;
+      summary.removed += updates.removed.length;
+      await clearBankError(bank);
+    } catch (error) {
+      console.error(`❌ Error syncing transactions for bank ${bank.id}:`, error.message);
+      await recordBankError(bank, error);
+    }
+  }
+
+  return summary;
+};
+
+// Read stored transactions for a user, newest first, optionally bounded by date
+const loadTransactions = async (userId, { startDate = null, endDate = null } = {}) => {
+  const result = await pool.query(`
+    SELECT t.plaid_data, t.bank_id, b.institution_name, a.name AS account_name, a.mask AS account_mask
+    FROM transactions t
+    JOIN user_banks b ON b.id = t.bank_id
+    LEFT JOIN bank_accounts a ON a.bank_id = t.bank_id AND a.account_id = t.account_id
+    WHERE t.user_id = $1
+      AND ($2::date IS NULL OR t.date >= $2::date)
+      AND ($3::date IS NULL OR t.date <= $3::date)
+    ORDER BY t.date DESC, t.id DESC
+  `, [userId, startDate, endDate]);
+
+  return result.rows.map(row => ({
+    ...row.plaid_data,
+    bank_id: row.bank_id,
+    bank_name: row.institution_name,
+    account_name: row.account_name,
+    account_mask: row.account_mask
+  }));
+};
+
+// Read the stored accounts for a user
+const loadAccounts = async (userId) => {
+  const result = await pool.query(`
+    SELECT a.account_id, a.bank_id, b.institution_name AS bank_name,
+      a.name, a.official_name, a.mask, a.type, a.subtype, a.balances
+    FROM bank_accounts a
+    JOIN user_banks b ON b.id = a.bank_id
+    WHERE a.user_id = $1
+    ORDER BY a.bank_id, a.name
+  `, [userId]);
+
+  return result.rows;
+};
+
+module.exports = {
+  ensureTransactionTables,
+  syncBankTransactions,
+  syncUserTransactions,
+  saveAccounts,
+  loadTransactions,
+  loadAccounts
+};
\ No newline at end of file
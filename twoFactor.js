@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const { JWT_SECRET } = require('./authTokens');
+const { currentKeyId, encryptSecret, decryptSecret } = require('./tokenVault');
+const { checkLoginThrottle, recordLoginAttempt, sendTooManyAttempts } = require('./loginThrottle');
+
+// RFC 6238 defaults, what every authenticator app expects
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_WINDOW_STEPS = 1; // accept one step of clock drift either way
+const ISSUER = process.env.TOTP_ISSUER || 'Budget App';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+// Challenge tokens are signed with a key derived from JWT_SECRET so they can never pass as access tokens
+const CHALLENGE_SECRET = crypto.createHmac('sha256', JWT_SECRET).update('2fa-challenge').digest('hex');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Ensure two-factor tables exist
+const ensureTwoFactorTables = async () => {
+  try {
+    // enabled_at stays NULL until the user proves their app works with /2fa/confirm
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_two_factor (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        secret_ciphertext TEXT NOT NULL,
+        wrapped_data_key TEXT NOT NULL,
+        token_key_id VARCHAR(64) NOT NULL,
+        enabled_at TIMESTAMP,
+        require_for_banks BOOLEAN DEFAULT FALSE,
+        last_used_step BIGINT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(255) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id)
+    `);
+
+    console.log('✅ Two-factor tables ready');
+  } catch (error) {
+    if (error.code === '42501') {
+      console.log('ℹ️ Two-factor tables exist but no owner permissions - this is OK for operations');
+    } else {
+      console.error('❌ Error with two-factor tables:', error.message);
+    }
+  }
+};
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (encoded) => {
+  let bits = '';
+  encoded.replace(/=+$/, '').toUpperCase().split('').forEach(char => {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+  });
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP value for one time step (RFC 4226 dynamic truncation)
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+// Returns the matching time step, or null. Steps at or before lastUsedStep are
+// rejected so a code cannot be replayed.
+const matchCode = (secret, code, lastUsedStep = 0) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = currentStep - TOTP_WINDOW_STEPS; step <= currentStep + TOTP_WINDOW_STEPS; step++) {
+    const expected = Buffer.from(generateCode(secret, step));
+    if (step > lastUsedStep && crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const secretContext = (userId) => `user_two_factor:${userId}`;
+
+const getTwoFactor = async (userId) => {
+  const result = await pool.query('SELECT * FROM user_two_factor WHERE user_id = $1', [userId]);
+  return result.rows[0] || null;
+};
+
+const isTwoFactorEnabled = async (userId) => {
+  const twoFactor = await getTwoFactor(userId);
+  return Boolean(twoFactor?.enabled_at);
+};
+
+// Start (or restart) enrolment with a new secret; only allowed while 2FA is not enabled yet
+const beginEnrolment = async (user) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+  const encrypted = encryptSecret(secretContext(user.id), secret);
+
+  await pool.query(`
+    INSERT INTO user_two_factor (user_id, secret_ciphertext, wrapped_data_key, token_key_id)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (user_id)
+    DO UPDATE SET secret_ciphertext = $2, wrapped_data_key = $3, token_key_id = $4,
+      last_used_step = 0, updated_at = CURRENT_TIMESTAMP
+    WHERE user_two_factor.enabled_at IS NULL
+  `, [user.id, encrypted.ciphertext, encrypted.wrapped_data_key, encrypted.token_key_id]);
+
+  const label = encodeURIComponent(`${ISSUER}:${user.username}`);
+  const otpauthUri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+    `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+
+  return { secret, otpauth_uri: otpauthUri };
+};
+
+// Check a TOTP code for the user and burn its time step. Works for pending and enabled enrolments.
+const verifyTotp = async (userId, code) => {
+  const twoFactor = await getTwoFactor(userId);
+  if (!twoFactor) {
+    return false;
+  }
+
+  const secret = decryptSecret({
+    ciphertext: twoFactor.secret_ciphertext,
+    wrapped_data_key: twoFactor.wrapped_data_key,
+    token_key_id: twoFactor.token_key_id
+  }, secretContext(userId));
+
+  const step = matchCode(secret, code, Number(twoFactor.last_used_step));
+  if (step === null) {
+    return false;
+  }
+
+  // Conditional update so two concurrent requests cannot both use the same step
+  const result = await pool.query(`
+    UPDATE user_two_factor SET last_used_step = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = $2 AND last_used_step < $1
+  `, [step, userId]);
+
+  return result.rowCount === 1;
+};
+
+// Consume one of the user's unused recovery codes
+const useRecoveryCode = async (userId, recoveryCode) => {
+  const normalized = String(recoveryCode || '').trim().toLowerCase();
+  const result = await pool.query(
+    'SELECT id, code_hash FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  for (const row of result.rows) {
+    if (await bcrypt.compare(normalized, row.code_hash)) {
+      const update = await pool.query(
+        'UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE id = $1 AND used_at IS NULL',
+        [row.id]
+      );
+      return update.rowCount === 1;
+    }
+  }
+  return false;
+};
+
+// Replace the user's recovery codes, returning the plaintext codes (shown once)
+const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  const hashes = await Promise.all(codes.map(code => bcrypt.hash(code, 10)));
+
+  await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  for (const hash of hashes) {
+    await pool.query(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hash]
+    );
+  }
+
+  return codes;
+};
+
+const enableTwoFactor = async (userId) => {
+  await pool.query(
+    'UPDATE user_two_factor SET enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE user_id = $1',
+    [userId]
+  );
+};
+
+const disableTwoFactor = async (userId) => {
+  await pool.query('DELETE FROM user_two_factor WHERE user_id = $1', [userId]);
+  await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+const setRequireForBanks = async (userId, required) => {
+  await pool.query(
+    'UPDATE user_two_factor SET require_for_banks = $1, updated_at = CURRENT_TIMESTAMP WHERE user_id = $2',
+    [required, userId]
+  );
+};
+
+// Second step of login: proves the password was right, expires quickly
+const createChallengeToken = (user) => jwt.sign(
+  { sub: String(user.id), purpose: '2fa_challenge' },
+  CHALLENGE_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+// Returns the user id, throws when the token is invalid or expired
+const readChallengeToken = (challengeToken) => {
+  const claims = jwt.verify(challengeToken, CHALLENGE_SECRET);
+  if (claims.purpose !== '2fa_challenge') {
+    throw new Error('Not a two-factor challenge token');
+  }
+  return parseInt(claims.sub, 10);
+};
+
+// Middleware: when the user opted in, requests that link, replace or remove banks need a fresh
+// code in the X-TOTP-Code header (or a recovery code in X-Recovery-Code). Codes are single use,
+// so each of those requests needs its own.
+const requireTwoFactorForBanks = async (req, res, next) => {
+  try {
+    const twoFactor = await getTwoFactor(req.user_id);
+
+    if (!twoFactor?.enabled_at || !twoFactor.require_for_banks) {
+      return next();
+    }
+
+    const code = req.get('X-TOTP-Code');
+    const recoveryCode = req.get('X-Recovery-Code');
+
+    if (!code && !recoveryCode) {
+      return res.status(403).json({
+        error: 'Two-factor code required for this action',
+        two_factor_required: true
+      });
+    }
+
+    // Code guesses count toward the same backoff as at login
+    const user = await pool.query('SELECT username FROM users WHERE id = $1', [req.user_id]);
+    const { username } = user.rows[0];
+    const throttle = await checkLoginThrottle({ username, ip: req.ip });
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle.retryAfter);
+    }
+
+    const verified = code
+      ? await verifyTotp(req.user_id, code)
+      : await useRecoveryCode(req.user_id, recoveryCode);
+
+    if (!verified) {
+      await recordLoginAttempt({ req, username, userId: req.user_id, attemptType: '2fa', outcome: 'failure', reason: 'bad_code' });
+      return res.status(403).json({
+        error: 'Invalid two-factor code',
+        two_factor_required: true
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Two-factor check error:', error);
+    res.status(500).json({ error: 'Failed to check two-factor code' });
+  }
+};
+
+// Re-encrypt TOTP secrets not under the current master key (used by rotateTokenKeys.js)
+const rotateTwoFactorSecrets = async () => {
+  const result = await pool.query(
+    'SELECT * FROM user_two_factor WHERE token_key_id IS DISTINCT FROM $1',
+    [currentKeyId]
+  );
+
+  for (const row of result.rows) {
+    const secret = decryptSecret({
+      ciphertext: row.secret_ciphertext,
+      wrapped_data_key: row.wrapped_data_key,
+      token_key_id: row.token_key_id
+    }, secretContext(row.user_id));
+    const encrypted = encryptSecret(secretContext(row.user_id), secret);
+
+    await pool.query(`
+      UPDATE user_two_factor
+      SET secret_ciphertext = $1, wrapped_data_key = $2, token_key_id = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $4
+    `, [encrypted.ciphertext, encrypted.wrapped_data_key, encrypted.token_key_id, row.user_id]);
+  }
+
+  return result.rows.length;
+};
+
+module.exports = {
+  ensureTwoFactorTables,
+  getTwoFactor,
+  isTwoFactorEnabled,
+  beginEnrolment,
+  verifyTotp,
+  useRecoveryCode,
+  generateRecoveryCodes,
+  enableTwoFactor,
+  disableTwoFactor,
+  setRequireForBanks,
+  createChallengeToken,
+  readChallengeToken,
+  requireTwoFactorForBanks,
+  rotateTwoFactorSecrets
+};
\ No newline at end of file